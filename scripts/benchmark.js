@@ -0,0 +1,105 @@
+#!/usr/bin/env bun
+
+/**
+ * Script to measure the throughput of HumanJSON.stringify() over the examples
+ * Run with: bun scripts/benchmark.js [--time <ms per example>]
+ *
+ * The output of each example is checked against its ~human.json fixture first, so that a faster layout can't
+ * change the output. The examples are also timed with `sortKeys: false`, which measures values on the way down
+ */
+
+import { readdirSync, readFileSync } from "fs";
+import { join, basename, dirname } from "path";
+import { fileURLToPath } from "url";
+import { HumanJSON } from "../src/index.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const inputDir = join(__dirname, "../examples");
+
+const timeArg = process.argv.indexOf("--time");
+const timePerExample = timeArg === -1 ? 500 : parseInt(process.argv[timeArg + 1], 10);
+
+/**
+ * Runs a function repeatedly for about `timePerExample` milliseconds
+ * @param {() => string} fn - The function to time
+ * @returns {number} The average time of one run, in milliseconds
+ */
+function time(fn) {
+  fn(); // warm up
+  let runs = 0;
+  const start = performance.now();
+  let elapsed = 0;
+  do {
+    fn();
+    runs++;
+    elapsed = performance.now() - start;
+  } while (elapsed < timePerExample);
+  return elapsed / runs;
+}
+
+/**
+ * Formats a throughput
+ * @param {number} bytes - The size of the input
+ * @param {number} ms - The time taken
+ * @returns {string} eg: "12.3 MB/s"
+ */
+function throughput(bytes, ms) {
+  return `${(bytes / 1e6 / (ms / 1000)).toFixed(1)} MB/s`.padStart(12);
+}
+
+const files = readdirSync(inputDir);
+const fixtureFiles = files.filter((file) => file.endsWith(".json") && !file.endsWith("~human.json")).sort();
+
+console.log(`Benchmarking ${fixtureFiles.length} examples...\n`);
+console.log(`${"example".padEnd(32)} ${"size".padStart(10)} ${"sorted".padStart(12)} ${"unsorted".padStart(12)}`);
+
+let failed = 0;
+let totalBytes = 0;
+let totalSorted = 0;
+let totalUnsorted = 0;
+
+for (const file of fixtureFiles) {
+  const filename = basename(file, ".json");
+
+  // Extract parameters using regex (same as the fixture tests)
+  const firstKeys = filename
+    .match(/keys=([^;]+)/)?.[1]
+    ?.split(",")
+    ?.map((k) => k.trim());
+  const lineLength = parseInt(filename.match(/line_length=(\d+)/)?.[1] || 120, 10);
+  const baseName = filename.split("__")[0];
+
+  const inputContent = readFileSync(join(inputDir, file), "utf-8");
+  const inputData = JSON.parse(inputContent);
+  const expectedContent = readFileSync(join(inputDir, `${baseName}~human.json`), "utf-8");
+  const options = {};
+  if (firstKeys) options.firstKeys = firstKeys;
+
+  if (HumanJSON.stringify(inputData, 2, lineLength, options) !== expectedContent) {
+    console.error(`✗ ${baseName}: the output doesn't match ${baseName}~human.json`);
+    failed++;
+    continue;
+  }
+
+  const bytes = Buffer.byteLength(inputContent);
+  const sorted = time(() => HumanJSON.stringify(inputData, 2, lineLength, options));
+  const unsorted = time(() => HumanJSON.stringify(inputData, 2, lineLength, { ...options, sortKeys: false }));
+  totalBytes += bytes;
+  totalSorted += sorted;
+  totalUnsorted += unsorted;
+
+  console.log(
+    `${baseName.padEnd(32)} ${`${(bytes / 1024).toFixed(1)} kB`.padStart(10)} ` +
+      `${throughput(bytes, sorted)} ${throughput(bytes, unsorted)}`,
+  );
+}
+
+console.log(
+  `\n${"total".padEnd(32)} ${`${(totalBytes / 1024).toFixed(1)} kB`.padStart(10)} ` +
+    `${throughput(totalBytes, totalSorted)} ${throughput(totalBytes, totalUnsorted)}`,
+);
+
+if (failed > 0) {
+  console.error(`\n✗ ${failed} examples don't match their fixtures`);
+  process.exit(1);
+}
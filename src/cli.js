@@ -4,19 +4,41 @@
  * CLI for HumanJSON - A human-readable JSON formatter
  *
  * Usage:
- *   human-json <input-file> [options]
+ *   human-json <files, directories or globs...> [options]
  *   cat file.json | human-json [options]
  *
  * Options:
  *   --keys <keys>    Comma-separated list of keys to prioritize (e.g., "name,version,date")
- *   --indent <spaces>    Number of spaces for indentation (default: 2)
+ *   --indent <spaces>    Number of spaces for indentation, or "tab" (default: 2)
  *   --max-length <num>   Maximum line length before wrapping (default: 120)
+ *   --preset <name>      Key order for a well-known format, or "auto" to detect it
+ *   --eol <lf|crlf|auto> Line endings to write, "auto" keeps the line endings of the input
+ *   --bom <preserve|strip> Whether to write back the UTF-8 byte order mark of the input
+ *   --ndjson             Format each line as a record (NDJSON / JSON Lines), as the input is read
+ *   --ndjson-output <pretty|compact> Records separated by blank lines, or one compact record per line
+ *   --color <auto|always|never> Colour the output, "auto" on a terminal (and with FORCE_COLOR, but not NO_COLOR)
+ *   --theme <json>       The colours of each kind of token, as SGR codes (eg: '{"key": "1;35"}')
+ *   --no-sort            Keep the keys in their original order
+ *   ...                  A flag for every other option of HumanJSONOptions (see printHelp())
+ *   --write              Format the files in place
+ *   --check              List the files that aren't formatted, and exit with 1 if there are any
+ *   --ignore-path <file> The ignore file for directories and globs (default: .humanjsonignore)
+ *   --print-config <file> Show the settings of a file, from the defaults, its config file and the flags
+ *   --format <text|json> How errors are reported: with a code frame, or as one JSON object per line
  *   --help, -h           Show this help message
  */
 
-import { readFileSync } from "fs";
+import { once } from "events";
+import { createReadStream, existsSync, readFileSync } from "fs";
 import { resolve } from "path";
-import { HumanJSON } from "./index.js";
+import { DEFAULT_SETTINGS, mergeSettings, parseFlags, resolveSettings } from "./config.js";
+import { formatDiagnostic, parseDiagnostic } from "./diagnostics.js";
+import { findFiles, readIgnoreFile, writeFileAtomic, writeFileAtomicStream } from "./files.js";
+import { HumanJSON, parseJSONC } from "./index.js";
+import { formatNDJSON } from "./ndjson.js";
+import { PRESETS } from "./presets.js";
+
+/** @typedef {import('./config.js').Settings} Settings */
 
 /**
  * Prints usage information
@@ -26,19 +48,97 @@ function printHelp() {
 HumanJSON CLI - Human-readable JSON formatter
 
 USAGE:
-  human-json <input-file> [options]
+  human-json <files, directories or globs...> [options]
   cat file.json | human-json [options]
 
 OPTIONS:
+  --indent <spaces>    Number of spaces for indentation, or "tab" (default: 2)
+  --max-length <num>   Maximum line length before wrapping (default: 120)
+  --measure <unit>     How line length is measured: codeunits, graphemes or
+                       display (default: display)
+  --tab-width <num>    Columns a tab in the indent counts for (default: 4)
+
   --keys <keys>        Comma-separated list of keys to prioritize at the top
-                       Example: --priority name,version,date
+                       Example: --keys name,version,date
+  --no-sort            Keep the keys in their original order
+  --key-sort <mode>    How to sort the other keys: alpha, natural or insertion
+  --locale <locale>    Locale used to compare keys (default: en)
+  --key-order <json>   Key ordering for specific paths, as a JSON object
+                       Example: --key-order '{"$.repository": ["type", "url"]}'
+  --preset <name>      Key order for a well-known format, or "auto" to detect it
+                       One of: auto, ${Object.keys(PRESETS).join(", ")}
 
-  --indent <spaces>    Number of spaces for indentation (default: 2)
+  --output <syntax>    json, json5 or jsonc (default: json, or jsonc when the
+                       input has comments)
+  --escape <mode>      Characters to escape: minimal, ascii or html-safe
+  --fill <mode>        Fill wrap simple values: none, array, object or all
+                       (default: array)
+  --spacing <mode>     Spaces inside brackets: none, array, object or all
+                       (default: object)
+  --align, --grid      Line up arrays of flat objects / numeric matrices in
+                       columns (--no-align, --no-grid to turn them off)
+  --no-final-newline   Don't end the output with a newline
 
-  --max-length <num>   Maximum line length before wrapping (default: 120)
+  --eol <type>         Line endings to write: lf, crlf, or auto to keep the
+                       line endings of the input (default: lf)
+  --bom <mode>         Whether to write back the UTF-8 byte order mark of the
+                       input: preserve or strip (default: preserve)
+
+  --ndjson             Read the input as NDJSON (JSON Lines): each line is a
+                       record, formatted as it is read. Lines that aren't valid
+                       JSON are reported with their line number and kept as is
+  --ndjson-output <m>  pretty, records separated by blank lines, or compact,
+                       one record per line with sorted keys (default: pretty,
+                       and compact with --write and --check)
+
+  --color <when>       Colour keys, strings, numbers, booleans, null and
+                       punctuation: auto, always or never (default: auto, which
+                       colours the output on a terminal). The NO_COLOR and
+                       FORCE_COLOR environment variables turn auto off and on
+  --theme <json>       The colours of key, string, number, boolean, null,
+                       punctuation and comment, as SGR codes
+                       Example: --theme '{"key": "1;35", "null": "2"}'
+
+  --precision <num>    Round numbers to this many significant digits
+  --decimals <num>     Round numbers to this many decimal places
+  --exponent <mode>    auto (like JSON.stringify) or never
+  --negative-zero <m>  normalize (write -0 as 0) or keep
+
+  --max-string-length <num>, --max-array-items <num>,
+  --max-object-keys <num>, --max-depth <num>
+                       Truncate long strings, arrays, objects and deep values
+
+  --write              Format the files in place. Files that are already
+                       formatted aren't touched
+
+  --check              List the files that aren't formatted, and exit with 1
+                       if there are any
+
+  --ignore-path <file> The ignore file (.gitignore syntax) for directories and
+                       globs (default: .humanjsonignore)
+
+  --print-config <file>
+                       Show the settings of a file, from the defaults, its
+                       config file and the flags
+
+  --format <format>    How errors are reported on stderr: text, with a code
+                       frame and a hint, or json, one object per line with the
+                       file, line, column, message and hint (default: text)
 
   --help, -h           Show this help message
 
+  Values can also be given as --flag=value.
+
+CONFIG:
+  Defaults are read from the first .humanjsonrc, humanjson.config.json or
+  "humanjson" key of a package.json in the directory of each file or above.
+  Its "overrides" give other settings to the files that match globs, eg:
+    {
+      "maxLineLength": 100,
+      "overrides": [{ "files": "*.geojson", "settings": { "maxLineLength": 200 } }]
+    }
+  Flags take precedence over the config.
+
 EXAMPLES:
   # Format a JSON file with default settings
   human-json package.json
@@ -49,17 +149,38 @@ EXAMPLES:
   # Use 4 spaces for indentation
   human-json data.json --indent 4
 
+  # Use tabs for indentation
+  human-json data.json --indent tab
+
   # Pipe from stdin
   cat data.json | human-json --keys id,name
 
+  # Use the conventional key order of the detected format (package.json, GeoJSON, OpenAPI, ...)
+  human-json openapi.json --preset auto
+
   # Disable key sorting
   human-json data.json --no-sort
+
+  # Keep the Windows line endings of the input
+  human-json settings.json --eol auto
+
+  # Format all the JSON files of a directory in place
+  human-json config/ --write
+
+  # Check the formatting in CI (quote globs so that the shell doesn't expand them)
+  human-json "src/**/*.json" --check
+
+  # Read the records of a log, one per line, and write them with sorted keys
+  human-json events.ndjson --ndjson --ndjson-output compact
+
+  # Keep the colours in a pager
+  human-json data.json --color always | less -R
 `);
 }
 
 /**
  * Parses command line arguments
- * @returns {{inputFile: string | null, indentSpaces: number, maxLineLength: number, options: object}}
+ * @returns {{inputs: string[], mode: 'print' | 'write' | 'check', ignorePath: string, printConfig: string | null, format: 'text' | 'json', flags: Settings}}
  */
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -69,55 +190,60 @@ function parseArgs() {
     process.exit(0);
   }
 
+  /** @type {string[]} */
+  const inputs = [];
+  /** @type {'print' | 'write' | 'check'} */
+  let mode = "print";
+  let ignorePath = ".humanjsonignore";
   /** @type {string | null} */
-  let inputFile = null;
-  let indentSpaces = 2;
-  let maxLineLength = 120;
-  /** @type {string[] | undefined} */
-  let firstKeys;
+  let printConfig = null;
+  /** @type {'text' | 'json'} */
+  let format = "text";
+
+  // the formatting flags (--indent, --max-length, --no-sort, ...) are the same as the settings of the config files
+  /** @type {ReturnType<typeof parseFlags>} */
+  let parsed;
+  try {
+    // --flag=value is the same as --flag value
+    parsed = parseFlags(args.flatMap((arg) => (/^--[^=]+=/.test(arg) ? arg.split(/=(.*)/s, 2) : arg)));
+  } catch (error) {
+    console.error(`Error: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+  const rest = parsed.rest;
 
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
 
-    if (arg === "--keys") {
-      const nextArg = args[++i];
-      if (!nextArg) {
-        console.error("Error: --keys requires a comma-separated list of keys");
+    if (arg === "--write" || arg === "--check") {
+      if (mode !== "print") {
+        console.error("Error: --write and --check can't be used together");
         process.exit(1);
       }
-      firstKeys = nextArg.split(",").map((k) => k.trim());
-    } else if (arg === "--indent") {
-      const nextArg = args[++i];
+      mode = arg === "--write" ? "write" : "check";
+    } else if (arg === "--ignore-path") {
+      const nextArg = rest[++i];
       if (!nextArg) {
-        console.error("Error: --indent requires a number");
-        process.exit(1);
-      }
-      indentSpaces = parseInt(nextArg, 10);
-      if (isNaN(indentSpaces) || indentSpaces < 0) {
-        console.error("Error: --indent must be a non-negative number");
+        console.error("Error: --ignore-path requires a file");
         process.exit(1);
       }
-    } else if (arg === "--max-length") {
-      const nextArg = args[++i];
+      ignorePath = nextArg;
+    } else if (arg === "--print-config") {
+      const nextArg = rest[++i];
       if (!nextArg) {
-        console.error("Error: --max-length requires a number");
+        console.error("Error: --print-config requires a file");
         process.exit(1);
       }
-      maxLineLength = parseInt(nextArg, 10);
-      if (isNaN(maxLineLength) || maxLineLength <= 0) {
-        console.error("Error: --max-length must be a positive number");
-        printHelp();
+      printConfig = nextArg;
+    } else if (arg === "--format") {
+      const nextArg = rest[++i];
+      if (nextArg !== "text" && nextArg !== "json") {
+        console.error('Error: --format must be "text" or "json"');
         process.exit(1);
       }
+      format = nextArg;
     } else if (!arg.startsWith("--")) {
-      if (inputFile === null) {
-        inputFile = arg;
-      } else {
-        console.error(`Error: Unexpected argument "${arg}"`);
-        printHelp();
-
-        process.exit(1);
-      }
+      inputs.push(arg);
     } else {
       console.error(`Error: Unknown option "${arg}"`);
       printHelp();
@@ -125,78 +251,400 @@ function parseArgs() {
     }
   }
 
-  /** @type {import('./index.js').HumanJSONOptions} */
-  const options = {};
-
-  if (firstKeys !== undefined) {
-    options.firstKeys = firstKeys;
+  if (mode !== "print" && inputs.length === 0) {
+    console.error(`Error: --${mode} requires files, directories or globs`);
+    process.exit(1);
   }
 
   return {
-    inputFile,
-    indentSpaces,
+    inputs,
+    mode,
+    ignorePath,
+    printConfig,
+    format,
+    flags: parsed.settings,
+  };
+}
+
+/**
+ * Splits the settings of a file into the arguments of HumanJSON.stringify(), the byte order mark handling, the
+ * NDJSON settings and the colours of the output on stdout (files are never coloured)
+ * @param {Settings} settings - The settings of the file
+ * @returns {{indentSpaces: number | string, maxLineLength: number, bom: 'preserve' | 'strip', ndjson: boolean, ndjsonOutput?: 'pretty' | 'compact', color: boolean | import('./color.js').Theme, options: import('./index.js').HumanJSONOptions}}
+ */
+function splitSettings({
+  indentSpaces = 2,
+  maxLineLength = 120,
+  bom = "preserve",
+  ndjson = false,
+  ndjsonOutput,
+  color = "auto",
+  theme,
+  ...options
+}) {
+  return {
+    indentSpaces: indentSpaces === "tab" ? "\t" : indentSpaces,
     maxLineLength,
+    bom,
+    ndjson,
+    ndjsonOutput,
+    color: useColor(color) && (theme ?? true),
     options,
   };
 }
 
+/**
+ * Decides whether to colour stdout: --color always or never, or with auto, when FORCE_COLOR is set (to anything but 0
+ * or false), NO_COLOR isn't, and stdout is a terminal
+ * @param {'auto' | 'always' | 'never'} color - The color setting
+ * @returns {boolean} True to colour the output
+ */
+function useColor(color) {
+  if (color !== "auto") {
+    return color === "always";
+  }
+  const { FORCE_COLOR, NO_COLOR, TERM } = process.env;
+  if (FORCE_COLOR !== undefined) {
+    return FORCE_COLOR !== "0" && FORCE_COLOR !== "false";
+  }
+  if (NO_COLOR) {
+    return false;
+  }
+  return Boolean(process.stdout.isTTY) && TERM !== "dumb";
+}
+
+/**
+ * The error of a file (or stdin) that can't be read
+ * @param {string | null} inputFile - Path to input file, or null for stdin
+ * @param {unknown} error - The error of the read
+ * @returns {Error} The error to report
+ */
+function readError(inputFile, error) {
+  const message = error instanceof Error ? error.message : String(error);
+  return new Error(
+    inputFile ? `Error reading file "${inputFile}": ${message}` : `Error reading from stdin: ${message}`,
+  );
+}
+
 /**
  * Reads input from file or stdin
  * @param {string | null} inputFile - Path to input file, or null for stdin
  * @returns {string} The input content
  */
 function readInput(inputFile) {
-  if (inputFile) {
-    try {
-      const filePath = resolve(inputFile);
-      return readFileSync(filePath, "utf-8");
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      console.error(`Error reading file "${inputFile}":`, message);
-      process.exit(1);
+  try {
+    return readFileSync(inputFile ? resolve(inputFile) : 0, "utf-8");
+  } catch (error) {
+    throw readError(inputFile, error);
+  }
+}
+
+/**
+ * Reads input from file or stdin as it comes in, for the input that is formatted as it is read (NDJSON)
+ * @param {string | null} inputFile - Path to input file, or null for stdin
+ * @returns {AsyncGenerator<string>} The input content, in chunks
+ */
+async function* readInputStream(inputFile) {
+  const stream = inputFile
+    ? createReadStream(resolve(inputFile), { encoding: "utf-8" })
+    : process.stdin.setEncoding("utf-8");
+  try {
+    for await (const chunk of stream) {
+      yield chunk;
     }
-  } else {
-    // Read from stdin
+  } catch (error) {
+    throw readError(inputFile, error);
+  }
+}
+
+/**
+ * Parses the JSON (or JSONC) input, and works out the options that depend on it
+ * @param {string} input - The input content
+ * @param {import('./index.js').HumanJSONOptions} options - The options from the command line
+ * @returns {{data: any, hasBOM: boolean, options: import('./index.js').HumanJSONOptions}} The parsed value, whether
+ * the input starts with a byte order mark and the options to format it with
+ */
+function parseInput(input, options) {
+  // without the UTF-8 byte order mark (which JSON.parse rejects)
+  const hasBOM = input.startsWith("\uFEFF");
+  if (hasBOM) {
+    input = input.slice(1);
+  }
+  options = { ...options };
+  if (options.eol === "auto") {
+    // keep the line endings of the input (the first one decides, like most editors)
+    options.eol = /\r?\n/.exec(input)?.[0] === "\r\n" ? "crlf" : "lf";
+  }
+
+  // Parse JSON, or JSON with comments and trailing commas (tsconfig.json, VS Code settings, ...)
+  try {
+    return { data: JSON.parse(input), hasBOM, options };
+  } catch {
     try {
-      return readFileSync(0, "utf-8");
+      // keep the comments, unless another syntax is asked for
+      return { data: parseJSONC(input), hasBOM, options: { ...options, output: options.output ?? "jsonc" } };
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
-      console.error("Error reading from stdin:", message);
-      process.exit(1);
+      // with the position, a code frame and a hint for the editors and people that read it
+      const diagnostic = error instanceof Error ? parseDiagnostic(input, error) : { message };
+      throw Object.assign(new Error(`Error parsing JSON: ${message}`), { diagnostic });
     }
   }
 }
 
 /**
- * Main CLI function
+ * Reports the lines of an NDJSON file that aren't valid JSON
+ * @param {string | null} file - The file, or null for stdin
+ * @param {import('./diagnostics.js').Diagnostic} diagnostic - What is wrong with the line
+ * @param {'text' | 'json'} errorFormat - The format of the diagnostics (--format)
  */
-function main() {
-  const { inputFile, indentSpaces, maxLineLength, options } = parseArgs();
+function reportLine(file, diagnostic, errorFormat) {
+  report(file, Object.assign(new Error(diagnostic.message), { diagnostic }), errorFormat);
+}
 
-  // Read input
-  const input = readInput(inputFile);
+/**
+ * Formats the input of one file or stdin to stdout, writing the output as it is formatted. NDJSON is also read as it is
+ * formatted, one line at a time, and its invalid lines are reported as they are found
+ * @param {string | null} inputFile - Path to input file, or null for stdin
+ * @param {Settings} flags - The settings of the command line flags
+ * @param {'text' | 'json'} errorFormat - The format of the diagnostics (--format)
+ * @returns {Promise<boolean>} True if all of the input was valid (NDJSON can have invalid lines, which are kept)
+ */
+async function print(inputFile, flags, errorFormat) {
+  const { indentSpaces, maxLineLength, bom, ndjson, ndjsonOutput, color, options } = splitSettings(
+    resolveSettings(inputFile, flags),
+  );
+  if (ndjson) {
+    let valid = true;
+    const records = formatNDJSON(readInputStream(inputFile), {
+      indentSpaces,
+      maxLineLength,
+      bom,
+      options: { ...options, color },
+      output: ndjsonOutput ?? "pretty",
+    });
+    for await (const { output, error } of records) {
+      if (error) {
+        reportLine(inputFile, error, errorFormat);
+        valid = false;
+      }
+      if (!process.stdout.write(output)) {
+        await once(process.stdout, "drain");
+      }
+    }
+    return valid;
+  }
 
-  // Parse JSON
-  /** @type {any} */
-  let data;
+  const { data, hasBOM, options: fileOptions } = parseInput(readInput(inputFile), { ...options, color });
   try {
-    data = JSON.parse(input);
+    if (hasBOM && bom === "preserve") {
+      process.stdout.write("\uFEFF");
+    }
+    for await (const chunk of HumanJSON.stream(data, indentSpaces, maxLineLength, fileOptions)) {
+      if (!process.stdout.write(chunk)) {
+        await once(process.stdout, "drain");
+      }
+    }
   } catch (error) {
     const message = error instanceof Error ? error.message : String(error);
-    console.error("Error parsing JSON:", message);
-    process.exit(1);
+    throw new Error(`Error formatting JSON: ${message}`);
   }
+  return true;
+}
 
-  // Format with HumanJSON
+/**
+ * Formats the input of one file to a string
+ * @param {string} file - Path to the file, which decides its settings
+ * @param {string} input - The input content
+ * @param {Settings} flags - The settings of the command line flags
+ * @returns {string} The formatted output
+ */
+function format(file, input, flags) {
+  const { indentSpaces, maxLineLength, bom, options } = splitSettings(resolveSettings(file, flags));
+  const { data, hasBOM, options: fileOptions } = parseInput(input, options);
   try {
-    const output = HumanJSON.stringify(data, indentSpaces, maxLineLength, options);
-    process.stdout.write(output);
+    const output = HumanJSON.stringify(data, indentSpaces, maxLineLength, fileOptions);
+    return hasBOM && bom === "preserve" ? `\uFEFF${output}` : output;
   } catch (error) {
     const message = error instanceof Error ? error.message : String(error);
-    console.error("Error formatting JSON:", message);
-    process.exit(1);
+    throw new Error(`Error formatting JSON: ${message}`);
+  }
+}
+
+/**
+ * Reports an error to stderr: parse errors with their position, code frame and hint, and the other errors with their
+ * message. The JSON format writes one diagnostic object per line, for editors and CI to annotate the files with
+ * @param {string | null} file - The file the error is about, or null for stdin (or no file at all)
+ * @param {unknown} error - The error
+ * @param {'text' | 'json'} errorFormat - The format of the diagnostics (--format)
+ */
+function report(file, error, errorFormat) {
+  /** @type {import('./diagnostics.js').Diagnostic} */
+  const diagnostic = /** @type {any} */ (error)?.diagnostic ?? {
+    message: error instanceof Error ? error.message : String(error),
+  };
+  if (errorFormat === "json") {
+    console.error(JSON.stringify({ file, severity: "error", ...diagnostic, frame: undefined }));
+  } else if (diagnostic.line !== undefined) {
+    console.error(formatDiagnostic(file ?? "<stdin>", diagnostic));
+  } else {
+    console.error(file ? `${file}: ${diagnostic.message}` : diagnostic.message);
+  }
+}
+
+/**
+ * Formats an NDJSON file in place (--write), or checks it (--check), one line at a time: the file is read once to find
+ * the lines that change and the invalid ones, and once more to write it. Files with invalid lines aren't written
+ * @param {string} file - The file to format
+ * @param {'write' | 'check'} mode - Whether to write the file or only check it
+ * @param {Settings} flags - The settings of the command line flags
+ * @param {'text' | 'json'} errorFormat - The format of the diagnostics (--format)
+ * @returns {Promise<'changed' | 'unchanged' | 'errored'>} Whether the file changes, or has invalid lines
+ */
+async function formatNDJSONFile(file, mode, flags, errorFormat) {
+  const {
+    indentSpaces,
+    maxLineLength,
+    bom,
+    ndjsonOutput = "compact",
+    options,
+  } = splitSettings(resolveSettings(file, flags));
+  if (ndjsonOutput !== "compact") {
+    throw new Error("Pretty records aren't NDJSON: use --ndjson-output compact with --write and --check");
+  }
+  const ndjsonOptions = { indentSpaces, maxLineLength, bom, options, output: ndjsonOutput };
+
+  let changed = false;
+  let valid = true;
+  for await (const { input, output, error } of formatNDJSON(readInputStream(file), ndjsonOptions)) {
+    if (error) {
+      reportLine(file, error, errorFormat);
+      valid = false;
+    }
+    changed ||= output !== input;
+  }
+  if (!valid) {
+    return "errored";
+  }
+  if (changed && mode === "write") {
+    const records = formatNDJSON(readInputStream(file), ndjsonOptions);
+    await writeFileAtomicStream(
+      file,
+      (async function* () {
+        for await (const { output } of records) {
+          yield output;
+        }
+      })(),
+    );
+  }
+  return changed ? "changed" : "unchanged";
+}
+
+/**
+ * Formats files in place (--write), or lists the ones that aren't formatted (--check), and prints a summary
+ * @param {string[]} files - The files to format
+ * @param {'write' | 'check'} mode - Whether to write the files or only check them
+ * @param {Settings} flags - The settings of the command line flags
+ * @param {'text' | 'json'} errorFormat - The format of the diagnostics (--format), the summary is only written as text
+ * @returns {Promise<boolean>} True if every file could be read and formatted, and (with --check) is already formatted
+ */
+async function formatFiles(files, mode, flags, errorFormat) {
+  const counts = { changed: 0, unchanged: 0, errored: 0 };
+
+  for (const file of files) {
+    /** @type {'changed' | 'unchanged' | 'errored'} */
+    let status;
+    try {
+      if (resolveSettings(file, flags).ndjson) {
+        status = await formatNDJSONFile(file, mode, flags, errorFormat);
+      } else {
+        const input = readInput(file);
+        const output = format(file, input, flags);
+        status = output === input ? "unchanged" : "changed";
+        if (status === "changed" && mode === "write") {
+          writeFileAtomic(file, output);
+        }
+      }
+    } catch (error) {
+      report(file, error, errorFormat);
+      status = "errored";
+    }
+    if (status === "changed") {
+      console.log(file);
+    }
+    counts[status]++;
+  }
+
+  const { changed, unchanged, errored } = counts;
+  if (errorFormat === "text") {
+    const count = (/** @type {number} */ n) => `${n} file${n === 1 ? "" : "s"}`;
+    console.error(
+      mode === "write"
+        ? `${count(changed)} changed, ${count(unchanged)} unchanged, ${count(errored)} errored`
+        : `${count(changed)} not formatted, ${count(unchanged)} formatted, ${count(errored)} errored`,
+    );
+  }
+  return errored === 0 && (mode === "write" || changed === 0);
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  const args = parseArgs();
+
+  if (args.printConfig !== null) {
+    // the settings of the file: the defaults, under the settings of its config file and the flags
+    try {
+      if (!existsSync(args.printConfig)) {
+        throw new Error("No such file");
+      }
+      const ndjsonOutput = args.mode === "print" ? "pretty" : "compact";
+      const settings = mergeSettings(DEFAULT_SETTINGS, { ndjsonOutput }, resolveSettings(args.printConfig, args.flags));
+      process.stdout.write(HumanJSON.stringify(settings, 2, 80));
+    } catch (error) {
+      report(args.printConfig, error, args.format);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args.inputs.length === 0) {
+    try {
+      if (!(await print(null, args.flags, args.format))) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      report(null, error, args.format);
+      process.exit(1);
+    }
+    return;
+  }
+
+  const { files, unmatched } = findFiles(args.inputs, readIgnoreFile(args.ignorePath));
+  for (const pattern of unmatched) {
+    report(pattern, new Error("No files matching this path or glob"), args.format);
+    process.exitCode = 1;
+  }
+
+  if (args.mode !== "print") {
+    if (!(await formatFiles(files, args.mode, args.flags, args.format))) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  for (const file of files) {
+    try {
+      if (!(await print(file, args.flags, args.format))) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      report(file, error, args.format);
+      process.exitCode = 1;
+    }
   }
 }
 
 // Run the CLI
-main();
+await main();
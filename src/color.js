@@ -0,0 +1,138 @@
+/**
+ * The colours of each kind of token, as the parameters of an ANSI SGR escape code (eg: `"1;34"` for bold blue, or
+ * `"38;5;208"` for orange on 256 colour terminals). An empty string leaves the token uncoloured
+ * @typedef {Object} Theme
+ * @property {string} [key] - Object keys (and their quotes)
+ * @property {string} [string] - Strings
+ * @property {string} [number] - Numbers
+ * @property {string} [boolean] - `true` and `false`
+ * @property {string} [null] - `null`
+ * @property {string} [punctuation] - Brackets, braces, commas and colons
+ * @property {string} [comment] - Comments (JSONC and JSON5 output)
+ */
+
+/**
+ * The default colours, like jq's: they can be read on dark and light terminals
+ * @type {Required<Theme>}
+ */
+export const DEFAULT_THEME = Object.freeze({
+  key: "1;34",
+  string: "32",
+  number: "36",
+  boolean: "33",
+  null: "90",
+  punctuation: "1",
+  comment: "2",
+});
+
+/**
+ * The tokens of formatted output: whitespace, comments, strings, numbers, words (literals, or JSON5 keys) and runs of
+ * punctuation (including the `…` of values cut by `maxDepth`). Anything else is matched one character at a time
+ */
+const TOKEN =
+  /(\s+)|(\/\/[^\r\n]*|\/\*[\s\S]*?\*\/)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|(-?\d[\d.eE+-]*)|([\p{ID_Start}$_][\p{ID_Continue}$\u200C\u200D]*)|([{}[\],:\u2026]+)|([\s\S])/uy;
+
+/**
+ * Colours formatted JSON with ANSI escape codes, a token at a time. Text can be given in chunks that split tokens
+ * anywhere (like the chunks of `HumanJSON.stream()`): the unfinished token at the end of a chunk is kept back until the
+ * next one. Only escape codes are added, so the output without them is the uncoloured text, with the same layout
+ */
+export class Highlighter {
+  /** @type {Required<Theme>} */
+  #theme;
+  /** The end of the last chunk, which may be the start of a token */
+  #pending = "";
+
+  /**
+   * Creates a highlighter
+   * @param {Theme} [theme] - The colours, on top of the default theme
+   */
+  constructor(theme = {}) {
+    this.#theme = { ...DEFAULT_THEME, ...theme };
+  }
+
+  /**
+   * Colours the tokens of a chunk of text, keeping back the last one if it may go on in the next chunk
+   * @param {string} chunk - The text
+   * @returns {string} The coloured text
+   */
+  push(chunk) {
+    return this.#highlight(this.#pending + chunk, false);
+  }
+
+  /**
+   * Colours the text that was kept back, at the end of the text
+   * @returns {string} The coloured text
+   */
+  flush() {
+    return this.#highlight(this.#pending, true);
+  }
+
+  /**
+   * Colours the tokens of the text
+   * @param {string} text - The text
+   * @param {boolean} end - Whether this is the end of the text, or the last token may go on in the next chunk
+   * @returns {string} The coloured text
+   */
+  #highlight(text, end) {
+    const theme = this.#theme;
+    let output = "";
+    let index = 0;
+    this.#pending = "";
+    while (index < text.length) {
+      TOKEN.lastIndex = index;
+      const match = /** @type {RegExpExecArray} */ (TOKEN.exec(text));
+      const [token, , comment, string, number, word, punctuation, other] = match;
+      // a token at the end of the chunk may be longer (or a key, if the next chunk starts with a colon), and an
+      // unterminated comment or string is the start of one that ends in the next chunk
+      const unfinished =
+        TOKEN.lastIndex === text.length ||
+        other === "/" ||
+        ((other === '"' || other === "'") && !text.includes("\n", index));
+      if (!end && unfinished) {
+        this.#pending = text.slice(index);
+        break;
+      }
+      // keys are the strings and words followed by their colon
+      const isKey = text.charAt(TOKEN.lastIndex) === ":";
+      if (comment !== undefined) output += paint(theme.comment, token);
+      else if (string !== undefined) output += paint(isKey ? theme.key : theme.string, token);
+      else if (number !== undefined) output += paint(theme.number, token);
+      else if (word !== undefined && isKey) output += paint(theme.key, token);
+      else if (token === "true" || token === "false") output += paint(theme.boolean, token);
+      else if (token === "null") output += paint(theme.null, token);
+      else if (punctuation !== undefined) output += paint(theme.punctuation, token);
+      else output += token;
+      index = TOKEN.lastIndex;
+    }
+    return output;
+  }
+}
+
+/**
+ * Wraps a token in the escape codes of a colour. Each line of a multi-line comment is coloured on its own, so that
+ * pagers (like `less -R`) that show a part of the output keep the colours
+ * @param {string} sgr - The parameters of the SGR escape code, or an empty string for no colour
+ * @param {string} token - The token
+ * @returns {string} The coloured token
+ */
+function paint(sgr, token) {
+  if (!sgr) {
+    return token;
+  }
+  return token
+    .split(/(\r?\n)/)
+    .map((part, i) => (i % 2 === 1 || part === "" ? part : `\x1b[${sgr}m${part}\x1b[0m`))
+    .join("");
+}
+
+/**
+ * Colours formatted JSON with ANSI escape codes
+ * @param {string} text - The formatted JSON (JSONC or JSON5)
+ * @param {Theme} [theme] - The colours, on top of the default theme
+ * @returns {string} The coloured text
+ */
+export function highlight(text, theme) {
+  const highlighter = new Highlighter(theme);
+  return highlighter.push(text) + highlighter.flush();
+}
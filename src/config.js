@@ -0,0 +1,360 @@
+import { existsSync, readFileSync } from "fs";
+import { basename, dirname, join, relative, resolve, sep } from "path";
+import { DEFAULT_THEME } from "./color.js";
+import { globToRegExp } from "./files.js";
+import { parseJSONC } from "./jsonc.js";
+import { PRESETS } from "./presets.js";
+
+/**
+ * The settings of the CLI and of config files: the HumanJSON options, plus the indent, the line length, what to do
+ * with a byte order mark, whether the files are NDJSON (and how to write their records), and when to colour the
+ * output and with which theme
+ * @typedef {Omit<import('./index.js').HumanJSONOptions, 'color'> & { indentSpaces?: number | string, maxLineLength?: number, bom?: 'preserve' | 'strip', ndjson?: boolean, ndjsonOutput?: 'pretty' | 'compact', color?: 'auto' | 'always' | 'never', theme?: import('./color.js').Theme }} Settings
+ */
+
+/**
+ * A setting that can be given as a command line flag and in config files. Settings with a `parent` are properties of
+ * an object setting (eg: `--precision` is `numbers.precision`)
+ * @typedef {Object} SettingSpec
+ * @property {string} name - The name of the setting in config files and HumanJSONOptions
+ * @property {string} flag - The command line flag, without the leading `--`. Boolean settings also have a `--no-` flag
+ * @property {'boolean' | 'number' | 'string' | 'list' | 'object' | 'indent' | 'theme'} type - The type of the value
+ * @property {string[]} [values] - The allowed values of a string setting
+ * @property {boolean} [positive] - Whether a number setting must be more than 0 (numbers can't be negative)
+ * @property {string} [parent] - The object setting this one is a property of
+ */
+
+/** @type {SettingSpec[]} */
+export const SETTINGS = [
+  { name: "indentSpaces", flag: "indent", type: "indent" },
+  { name: "maxLineLength", flag: "max-length", type: "number", positive: true },
+  { name: "measure", flag: "measure", type: "string", values: ["codeunits", "graphemes", "display"] },
+  { name: "tabWidth", flag: "tab-width", type: "number" },
+  { name: "sortKeys", flag: "sort", type: "boolean" },
+  { name: "firstKeys", flag: "keys", type: "list" },
+  { name: "keySort", flag: "key-sort", type: "string", values: ["alpha", "natural", "insertion"] },
+  { name: "locale", flag: "locale", type: "string" },
+  { name: "keyOrder", flag: "key-order", type: "object" },
+  { name: "preset", flag: "preset", type: "string", values: ["auto", ...Object.keys(PRESETS)] },
+  { name: "output", flag: "output", type: "string", values: ["json", "json5", "jsonc"] },
+  { name: "escape", flag: "escape", type: "string", values: ["minimal", "ascii", "html-safe"] },
+  { name: "fill", flag: "fill", type: "string", values: ["none", "array", "object", "all"] },
+  { name: "spacing", flag: "spacing", type: "string", values: ["none", "array", "object", "all"] },
+  { name: "align", flag: "align", type: "boolean" },
+  { name: "grid", flag: "grid", type: "boolean" },
+  { name: "appendNewLine", flag: "final-newline", type: "boolean" },
+  { name: "eol", flag: "eol", type: "string", values: ["lf", "crlf", "auto"] },
+  { name: "bom", flag: "bom", type: "string", values: ["preserve", "strip"] },
+  { name: "ndjson", flag: "ndjson", type: "boolean" },
+  { name: "ndjsonOutput", flag: "ndjson-output", type: "string", values: ["pretty", "compact"] },
+  { name: "color", flag: "color", type: "string", values: ["auto", "always", "never"] },
+  { name: "theme", flag: "theme", type: "theme" },
+  { name: "numbers", flag: "numbers", type: "object" },
+  { name: "precision", flag: "precision", type: "number", positive: true, parent: "numbers" },
+  { name: "decimals", flag: "decimals", type: "number", parent: "numbers" },
+  { name: "exponent", flag: "exponent", type: "string", values: ["auto", "never"], parent: "numbers" },
+  { name: "negativeZero", flag: "negative-zero", type: "string", values: ["normalize", "keep"], parent: "numbers" },
+  { name: "maxStringLength", flag: "max-string-length", type: "number" },
+  { name: "maxArrayItems", flag: "max-array-items", type: "number" },
+  { name: "maxObjectKeys", flag: "max-object-keys", type: "number" },
+  { name: "maxDepth", flag: "max-depth", type: "number" },
+];
+
+/**
+ * The value of each setting when it isn't set, as the CLI formats with them. The limits (eg: `maxDepth`), the rounding
+ * of numbers and `preset` have no default: they are off unless they are set. `ndjsonOutput` depends on whether the
+ * files are printed or written
+ */
+export const DEFAULT_SETTINGS = Object.freeze(
+  /** @type {Settings} */ ({
+    indentSpaces: 2,
+    maxLineLength: 120,
+    measure: "display",
+    tabWidth: 4,
+    sortKeys: true,
+    firstKeys: ["name", "id", "value", "version", "date", "errors"],
+    keySort: "alpha",
+    locale: "en",
+    keyOrder: {},
+    output: "json",
+    escape: "minimal",
+    fill: "array",
+    spacing: "object",
+    align: false,
+    grid: false,
+    appendNewLine: true,
+    eol: "lf",
+    bom: "preserve",
+    ndjson: false,
+    color: "auto",
+    theme: DEFAULT_THEME,
+    numbers: { exponent: "auto", negativeZero: "normalize" },
+  }),
+);
+
+/** The config files that are looked for in each directory, in order. package.json only counts with a "humanjson" key */
+const CONFIG_FILES = [".humanjsonrc", "humanjson.config.json", "package.json"];
+
+/**
+ * Checks a setting from the command line or a config file
+ * @param {SettingSpec} spec - The setting
+ * @param {any} value - The value of the setting
+ * @returns {string | null} What is wrong with the value, or null if it is valid
+ */
+function checkSetting(spec, value) {
+  switch (spec.type) {
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "number":
+      if (typeof value !== "number" || isNaN(value) || value < 0 || (spec.positive && value === 0)) {
+        return spec.positive ? "must be a positive number" : "must be a non-negative number";
+      }
+      return null;
+    case "indent":
+      return (typeof value === "number" && value >= 0) || typeof value === "string"
+        ? null
+        : 'must be a non-negative number or "tab"';
+    case "list":
+      return Array.isArray(value) && value.every((item) => typeof item === "string") ? null : "must be a list of keys";
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value) ? null : "must be an object";
+    case "theme":
+      // the colours are the parameters of escape codes, so that a theme can't write anything else to the terminal
+      return value !== null &&
+        typeof value === "object" &&
+        Object.entries(value).every(
+          ([token, sgr]) => Object.hasOwn(DEFAULT_THEME, token) && typeof sgr === "string" && /^[\d;]*$/.test(sgr),
+        )
+        ? null
+        : `must be an object with SGR codes (eg: "1;34") for: ${Object.keys(DEFAULT_THEME).join(", ")}`;
+    default:
+      if (typeof value !== "string" || (spec.values && !spec.values.includes(value))) {
+        return spec.values ? `must be one of: ${spec.values.join(", ")}` : "must be a string";
+      }
+      return null;
+  }
+}
+
+/**
+ * Merges settings: later settings take precedence, and the `numbers`, `keyOrder` and `theme` objects are merged
+ * property by property
+ * @param {...Settings} layers - The settings, from the lowest to the highest precedence
+ * @returns {Settings} The merged settings
+ */
+export function mergeSettings(...layers) {
+  /** @type {Settings} */
+  const settings = {};
+  for (const layer of layers) {
+    for (const [name, value] of Object.entries(layer)) {
+      if ((name === "numbers" || name === "keyOrder" || name === "theme") && value && typeof value === "object") {
+        Object.assign(settings, { [name]: { .../** @type {any} */ (settings)[name], ...value } });
+      } else {
+        Object.assign(settings, { [name]: value });
+      }
+    }
+  }
+  return settings;
+}
+
+/**
+ * Parses the value of a command line flag
+ * @param {SettingSpec} spec - The setting of the flag
+ * @param {string | undefined} arg - The argument after the flag
+ * @returns {any} The value of the setting
+ * @throws {Error} If the argument is missing or invalid
+ */
+function parseFlagValue(spec, arg) {
+  if (arg === undefined) {
+    throw new Error(`--${spec.flag} requires a value`);
+  }
+  /** @type {any} */
+  let value = arg;
+  if (spec.type === "number") {
+    value = Number(arg);
+  } else if (spec.type === "indent") {
+    value = arg === "tab" ? "\t" : Number(arg);
+  } else if (spec.type === "list") {
+    value = arg.split(",").map((key) => key.trim());
+  } else if (spec.type === "object" || spec.type === "theme") {
+    try {
+      value = JSON.parse(arg);
+    } catch {
+      throw new Error(`--${spec.flag} must be a JSON object`);
+    }
+  }
+  const problem = checkSetting(spec, value);
+  if (problem) {
+    throw new Error(`--${spec.flag} ${problem}`);
+  }
+  return value;
+}
+
+/**
+ * Parses the formatting flags of the command line. Flags that aren't settings are returned for the CLI to handle
+ * @param {string[]} args - The command line arguments
+ * @returns {{ settings: Settings, rest: string[] }} The settings of the flags, and the other arguments
+ * @throws {Error} If a flag value is missing or invalid
+ */
+export function parseFlags(args) {
+  /** @type {Settings} */
+  let settings = {};
+  /** @type {string[]} */
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const negated = arg.startsWith("--no-");
+    const flag = arg.slice(negated ? 5 : 2);
+    const spec = arg.startsWith("--") ? SETTINGS.find((setting) => setting.flag === flag) : undefined;
+    if (!spec || (negated && spec.type !== "boolean")) {
+      rest.push(arg);
+      continue;
+    }
+    const value = spec.type === "boolean" ? !negated : parseFlagValue(spec, args[++i]);
+    settings = mergeSettings(
+      settings,
+      spec.parent ? { [spec.parent]: { [spec.name]: value } } : { [spec.name]: value },
+    );
+  }
+  return { settings, rest };
+}
+
+/**
+ * Checks the settings of a config file or an override
+ * @param {any} config - The settings
+ * @param {string} source - Where the settings come from, for the error messages
+ * @returns {Settings} The settings
+ * @throws {Error} If a setting is unknown or invalid
+ */
+function checkSettings(config, source) {
+  const problem = checkSetting({ name: "", flag: "", type: "object" }, config);
+  if (problem) {
+    throw new Error(`The settings of ${source} ${problem}`);
+  }
+  for (const [name, value] of Object.entries(config)) {
+    const spec = SETTINGS.find((setting) => setting.name === name && !setting.parent);
+    if (!spec) {
+      throw new Error(`Unknown setting "${name}" in ${source}`);
+    }
+    const problem = checkSetting(spec, value);
+    if (problem) {
+      throw new Error(`"${name}" in ${source} ${problem}`);
+    }
+    if (name === "numbers") {
+      for (const [property, number] of Object.entries(value)) {
+        const spec = SETTINGS.find((setting) => setting.name === property && setting.parent === "numbers");
+        const problem = spec ? checkSetting(spec, number) : "is unknown";
+        if (problem) {
+          throw new Error(`"numbers.${property}" in ${source} ${problem}`);
+        }
+      }
+    }
+  }
+  return config;
+}
+
+/**
+ * A loaded config file
+ * @typedef {Object} Config
+ * @property {string} path - The path of the config file
+ * @property {Settings} settings - The settings for every file
+ * @property {{ files: { regex: RegExp, anchored: boolean }[], settings: Settings }[]} overrides - Settings for the files
+ * that match a glob. Globs with a `/` are anchored to the directory of the config file, the others match file names
+ */
+
+/**
+ * Reads a config file: JSON (with comments in `.humanjsonrc`), or the "humanjson" key of a package.json. Besides the
+ * settings, a config has a list of `overrides`, each with the `files` globs (or a single glob) it applies to and its
+ * `settings`
+ * @param {string} path - The path of the config file
+ * @returns {Config | null} The config, or null if it's a package.json without a "humanjson" key
+ * @throws {Error} If the config can't be parsed, or has unknown or invalid settings
+ */
+export function readConfig(path) {
+  /** @type {any} */
+  let config;
+  try {
+    config = parseJSONC(readFileSync(path, "utf-8").replace(/^\uFEFF/, ""));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Error reading config "${path}": ${message}`);
+  }
+  if (basename(path) === "package.json") {
+    if (config?.humanjson === undefined) {
+      return null;
+    }
+    config = config.humanjson;
+  }
+
+  const { overrides = [], ...settings } = config ?? {};
+  if (!Array.isArray(overrides)) {
+    throw new Error(`"overrides" in ${path} must be a list`);
+  }
+  return {
+    path,
+    settings: checkSettings(settings, path),
+    overrides: overrides.map((override, i) => {
+      const files = [override?.files].flat();
+      if (files.length === 0 || !files.every((glob) => typeof glob === "string")) {
+        throw new Error(`"overrides[${i}].files" in ${path} must be a glob or a list of globs`);
+      }
+      return {
+        files: files.map((glob) => ({ regex: globToRegExp(glob.replace(/^\.?\//, "")), anchored: glob.includes("/") })),
+        settings: checkSettings(override.settings ?? {}, `overrides[${i}] of ${path}`),
+      };
+    }),
+  };
+}
+
+/** @type {Map<string, Config | null>} The config found for each directory */
+const configs = new Map();
+
+/**
+ * Finds the config that applies to the files of a directory: the first `.humanjsonrc`, `humanjson.config.json` or
+ * package.json with a "humanjson" key in the directory or the directories above it
+ * @param {string} dir - The directory
+ * @returns {Config | null} The config, or null if there is none
+ */
+export function findConfig(dir) {
+  dir = resolve(dir);
+  if (!configs.has(dir)) {
+    /** @type {Config | null} */
+    let config = null;
+    for (const file of CONFIG_FILES) {
+      if (existsSync(join(dir, file))) {
+        config = readConfig(join(dir, file));
+        if (config) {
+          break;
+        }
+      }
+    }
+    configs.set(dir, config ?? (dirname(dir) === dir ? null : findConfig(dirname(dir))));
+  }
+  return /** @type {Config | null} */ (configs.get(dir));
+}
+
+/**
+ * Works out the settings of a file: the settings of its config file, then the overrides whose globs match the file
+ * (globs without a `/` match the file name, the others the path from the directory of the config file), then the
+ * command line flags
+ * @param {string | null} file - The path of the file, or null for stdin (which uses the config of the current directory)
+ * @param {Settings} flags - The settings of the command line flags
+ * @returns {Settings} The settings of the file
+ * @throws {Error} If the config can't be read
+ */
+export function resolveSettings(file, flags) {
+  const config = findConfig(file ? dirname(resolve(file)) : process.cwd());
+  if (!config) {
+    return flags;
+  }
+  /** @type {Settings[]} */
+  const layers = [config.settings];
+  if (file) {
+    const path = relative(dirname(config.path), resolve(file)).split(sep).join("/");
+    for (const override of config.overrides) {
+      if (override.files.some(({ regex, anchored }) => regex.test(anchored ? path : basename(path)))) {
+        layers.push(override.settings);
+      }
+    }
+  }
+  return mergeSettings(...layers, flags);
+}
@@ -0,0 +1,146 @@
+import { displayWidth } from "./width.js";
+
+/**
+ * A problem found in an input file, for people (see `formatDiagnostic()`) or editors and CI (as JSON)
+ * @typedef {Object} Diagnostic
+ * @property {string} message - What went wrong, without the position
+ * @property {number} [line] - The 1-based line of the problem
+ * @property {number} [column] - The 1-based column of the problem, in UTF-16 code units
+ * @property {string} [hint] - How to fix a common mistake
+ * @property {string} [frame] - The lines around the problem, with a caret under it
+ */
+
+/** Long lines (like minified JSON) are cut to this many characters around the column in code frames */
+const FRAME_WIDTH = 80;
+
+/**
+ * Suggests a fix for the common mistakes of hand-written JSON, from the error message and the text at the error
+ * @param {string} message - The error message, without the position
+ * @param {string} text - The text that was parsed
+ * @param {number} offset - The position of the error in the text
+ * @returns {string | undefined} The hint, or undefined if the mistake isn't a known one
+ */
+function hintFor(message, text, offset) {
+  // a UTF-16 byte order mark read as UTF-8 is two replacement characters, and ASCII characters come with a NUL
+  if (text.startsWith("\uFFFD\uFFFD") || text.slice(0, 8).includes("\0")) {
+    return "Save the file as UTF-8: it looks UTF-16 encoded (it starts with a UTF-16 byte order mark)";
+  }
+  const rest = text.slice(offset, offset + 40);
+  const char = rest.charAt(0);
+  if (char === "'") {
+    return "Use double quotes: strings and keys can't be in single quotes in JSON, write \"text\" instead of 'text'";
+  }
+  if (char === "#") {
+    return "Use // or /* */ for comments, # doesn't start a comment (files with comments are formatted as JSONC)";
+  }
+  if (message === "Unterminated comment") {
+    return "Close the comment with */";
+  }
+  if (message === "Unterminated string") {
+    return 'Close the string with a double quote on the same line: write line breaks in strings as "\\n"';
+  }
+  if (message === "Invalid escape or control character in string") {
+    return 'Escape backslashes as "\\\\" and tabs as "\\t": only \\" \\\\ \\/ \\b \\f \\n \\r \\t and \\uXXXX escapes are allowed';
+  }
+  const word = /^-?[\p{L}_$][\p{L}\p{N}_$]*/u.exec(rest)?.[0];
+  if (word && /^(?:undefined|NaN|-?Infinity)$/.test(word)) {
+    return `Use null (or a string) instead of ${word}, which JSON doesn't have`;
+  }
+  if (word && message.startsWith("Expected a string key")) {
+    return `Quote the key: write "${word}" instead of ${word}`;
+  }
+  if (word && message.startsWith("Unexpected token")) {
+    return `Quote the string: write "${word}" instead of ${word}`;
+  }
+  if (char === ",") {
+    return "Remove the extra comma: there is no value before it (a single trailing comma is allowed)";
+  }
+  if (message.startsWith('Expected ","') && /^["{[\d-]|^(?:true|false|null)/.test(rest)) {
+    return "Add a comma between the two values";
+  }
+  return undefined;
+}
+
+/**
+ * Shows the lines around a position, with a caret under the column. Long lines are cut to a window around the column,
+ * and the caret is lined up with the display width of the characters before it (keeping tabs as tabs)
+ * @param {string} text - The text of the file
+ * @param {number} line - The 1-based line
+ * @param {number} column - The 1-based column, in UTF-16 code units
+ * @param {number} [firstLine=1] - The line number of the first line of the text, when it is part of a larger file
+ * @returns {string} The code frame (without a trailing newline)
+ */
+export function codeFrame(text, line, column, firstLine = 1) {
+  const lines = text.split(/\r\n|\r|\n/);
+  const first = Math.max(1, line - 2);
+  const last = Math.min(lines.length, line + 1);
+  const gutter = String(last + firstLine - 1).length;
+  const start = column > FRAME_WIDTH * 0.75 ? column - 1 - FRAME_WIDTH / 2 : 0;
+
+  /** @type {string[]} */
+  const frame = [];
+  for (let n = first; n <= last; n++) {
+    const source = lines[n - 1];
+    // control characters are shown as their symbols (NUL as U+2400), which take up one column too
+    let shown = source
+      .slice(start, start + FRAME_WIDTH)
+      .replace(/\p{Cc}/gu, (char) =>
+        char === "\t" ? char : String.fromCharCode(0x2400 + Math.min(char.charCodeAt(0), 0x21)),
+      );
+    if (start > 0 && source.length > start) shown = `…${shown}`;
+    if (source.length > start + FRAME_WIDTH) shown = `${shown}…`;
+    frame.push(`${n === line ? ">" : " "} ${String(n + firstLine - 1).padStart(gutter)} | ${shown}`.trimEnd());
+    if (n === line) {
+      const before = (start > 0 && source.length > start ? "…" : "") + source.slice(start, column - 1);
+      const padding = before
+        .split("\t")
+        .map((part) => " ".repeat(displayWidth(part)))
+        .join("\t");
+      frame.push(`  ${" ".repeat(gutter)} | ${padding}^`);
+    }
+  }
+  return frame.join("\n");
+}
+
+/**
+ * Describes a parse error of `parseJSONC()` (a SyntaxError with the `line` and `column` of the error)
+ * @param {string} text - The text that was parsed
+ * @param {Error & { line?: number, column?: number }} error - The parse error
+ * @param {number} [firstLine=1] - The line number of the first line of the text, when it is part of a larger file (eg:
+ * a record of NDJSON)
+ * @returns {Diagnostic} The message, position, hint and code frame of the error
+ */
+export function parseDiagnostic(text, error, firstLine = 1) {
+  const { line, column } = error;
+  if (line === undefined || column === undefined) {
+    return { message: error.message };
+  }
+  const message = error.message.replace(/ at line \d+, column \d+$/, "");
+  const lines = text.split(/\r\n|\r|\n/);
+  // the offset of the error: the lengths of the lines before it, with their line breaks
+  let offset = 0;
+  for (let i = 0; i < line - 1; i++) {
+    offset += lines[i].length;
+    offset += text.startsWith("\r\n", offset) ? 2 : 1;
+  }
+  offset += column - 1;
+  /** @type {Diagnostic} */
+  const diagnostic = { message, line: line + firstLine - 1, column };
+  const hint = hintFor(message, text, offset);
+  if (hint) {
+    diagnostic.hint = hint;
+  }
+  diagnostic.frame = codeFrame(text, line, column, firstLine);
+  return diagnostic;
+}
+
+/**
+ * Formats a diagnostic for the terminal: `file:line:column: message`, then the code frame and the hint
+ * @param {string} file - The name of the file (eg: `<stdin>`)
+ * @param {Diagnostic} diagnostic - The diagnostic
+ * @returns {string} The formatted diagnostic (without a trailing newline)
+ */
+export function formatDiagnostic(file, { message, line, column, hint, frame }) {
+  const position = line === undefined ? "" : `:${line}:${column}`;
+  return [`${file}${position}: ${message}`, frame, hint && `hint: ${hint}`].filter(Boolean).join("\n");
+}
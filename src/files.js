@@ -0,0 +1,231 @@
+import {
+  createWriteStream,
+  existsSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+} from "fs";
+import { basename, dirname, join, relative, resolve, sep } from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+/** The extensions of the files that are formatted when walking a directory */
+const EXTENSIONS = [".json", ".jsonc"];
+
+/** Directories that are never walked, whatever the ignore file says */
+const DEFAULT_IGNORE = "node_modules/\n.git/\n";
+
+/** Characters that make a path a glob pattern */
+const MAGIC = /[*?[{]/;
+
+/**
+ * Converts a glob pattern to a regular expression over `/` separated paths: `*` and `?` match within a path segment,
+ * `**` matches any number of segments, `[abc]` / `[!abc]` match a character from (or not from) the set and `{a,b}`
+ * matches any of the alternatives
+ * @param {string} glob - The glob pattern (eg: `src/**\/*.{json,jsonc}`)
+ * @returns {RegExp} A regular expression that matches the whole path
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*" && (i === 0 || glob[i - 1] === "/")) {
+      i++;
+      if (glob[i + 1] === "/") {
+        i++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && glob.indexOf("]", i + 2) !== -1) {
+      const end = glob.indexOf("]", i + 2);
+      const set = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += set.startsWith("!") ? `[^${set.slice(1)}]` : `[${set}]`;
+      i = end;
+    } else if (char === "{") {
+      braces++;
+      source += "(?:";
+    } else if (char === "}" && braces > 0) {
+      braces--;
+      source += ")";
+    } else if (char === "," && braces > 0) {
+      source += "|";
+    } else if (char === "\\" && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\]/, "\\$&");
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}${")".repeat(braces)}$`);
+}
+
+/**
+ * Parses an ignore file with the syntax of `.gitignore`: one glob per line, `#` comments, `!` to include again what an
+ * earlier line ignored, a trailing `/` to only match directories, and a `/` at the start or in the middle to match
+ * from the directory of the ignore file instead of at any depth
+ * @param {string} text - The content of the ignore file
+ * @returns {(path: string, isDirectory: boolean) => boolean} Checks if a `/` separated path, relative to the
+ * directory of the ignore file, is ignored
+ */
+export function parseIgnore(text) {
+  /** @type {{ negate: boolean, directoryOnly: boolean, anchored: boolean, regex: RegExp }[]} */
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    line = line.trim();
+    if (line === "" || line.startsWith("#")) {
+      continue;
+    }
+    const negate = line.startsWith("!");
+    if (negate) {
+      line = line.slice(1);
+    }
+    const directoryOnly = line.endsWith("/");
+    line = line.replace(/\/+$/, "");
+    const anchored = line.includes("/");
+    rules.push({ negate, directoryOnly, anchored, regex: globToRegExp(line.replace(/^\//, "")) });
+  }
+
+  return (path, isDirectory) => {
+    const name = path.slice(path.lastIndexOf("/") + 1);
+    let ignored = false;
+    for (const rule of rules) {
+      if ((isDirectory || !rule.directoryOnly) && rule.regex.test(rule.anchored ? path : name)) {
+        ignored = !rule.negate;
+      }
+    }
+    return ignored;
+  };
+}
+
+/**
+ * Reads an ignore file (see `parseIgnore()`). `node_modules` and `.git` directories are always ignored, and a missing
+ * ignore file ignores nothing else
+ * @param {string} file - The path of the ignore file (eg: `.humanjsonignore`)
+ * @returns {(path: string, isDirectory: boolean) => boolean} Checks if a path (relative to the current directory) is
+ * ignored
+ */
+export function readIgnoreFile(file) {
+  const isIgnored = parseIgnore(DEFAULT_IGNORE + (existsSync(file) ? readFileSync(file, "utf-8") : ""));
+  const root = dirname(resolve(file));
+  return (path, isDirectory) => isIgnored(relative(root, resolve(path)).split(sep).join("/"), isDirectory);
+}
+
+/**
+ * Lists the files of a directory and its subdirectories, in a stable order, leaving out the ignored ones
+ * @param {string} dir - The directory to walk
+ * @param {string} prefix - The path of the directory as written in the output, with a trailing `/` (or empty)
+ * @param {(path: string, isDirectory: boolean) => boolean} isIgnored - Checks if a file or directory is ignored
+ * @returns {Generator<string>} The paths of the files
+ */
+function* walk(dir, prefix, isIgnored) {
+  const entries = readdirSync(dir, { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  for (const entry of entries) {
+    const path = prefix + entry.name;
+    if (entry.isDirectory()) {
+      if (!isIgnored(path, true)) {
+        yield* walk(join(dir, entry.name), `${path}/`, isIgnored);
+      }
+    } else if (entry.isFile() && !isIgnored(path, false)) {
+      yield path;
+    }
+  }
+}
+
+/**
+ * Expands the paths given on the command line into the files to format. Files are used as they are, directories are
+ * walked for `.json` and `.jsonc` files, and glob patterns (`src/**\/*.json`) are matched against the files below
+ * their leading directories. Walks leave out the ignored files and directories
+ * @param {string[]} patterns - File paths, directories and glob patterns
+ * @param {(path: string, isDirectory: boolean) => boolean} [isIgnored] - Checks if a file or directory is ignored
+ * @returns {{ files: string[], unmatched: string[] }} The files to format, without duplicates, and the patterns that
+ * didn't match any file
+ */
+export function findFiles(patterns, isIgnored = () => false) {
+  /** @type {Set<string>} */
+  const files = new Set();
+  /** @type {string[]} */
+  const unmatched = [];
+
+  for (const pattern of patterns) {
+    let matched = false;
+    if (existsSync(pattern) && statSync(pattern).isFile()) {
+      files.add(pattern);
+      matched = true;
+    } else if (existsSync(pattern) && statSync(pattern).isDirectory()) {
+      const prefix = pattern === "." || pattern === "./" ? "" : `${pattern.replace(/\/+$/, "")}/`;
+      for (const file of walk(pattern, prefix, isIgnored)) {
+        if (EXTENSIONS.some((extension) => file.endsWith(extension))) {
+          files.add(file);
+          matched = true;
+        }
+      }
+    } else if (MAGIC.test(pattern)) {
+      // walk the directory before the first segment with a wildcard, and match the files below it
+      const glob = pattern.replace(/^\.\//, "");
+      const segments = glob.split("/");
+      const magicIndex = segments.findIndex((segment) => MAGIC.test(segment));
+      const prefix = segments
+        .slice(0, magicIndex)
+        .map((segment) => `${segment}/`)
+        .join("");
+      const regex = globToRegExp(glob);
+      if (existsSync(prefix || ".")) {
+        for (const file of walk(prefix || ".", prefix, isIgnored)) {
+          if (regex.test(file)) {
+            files.add(file);
+            matched = true;
+          }
+        }
+      }
+    }
+    if (!matched) {
+      unmatched.push(pattern);
+    }
+  }
+
+  return { files: [...files], unmatched };
+}
+
+/**
+ * Writes a file atomically: the text is written to a temporary file next to it, which then replaces the file. A
+ * crash or a full disk can't leave a half-written file behind, and the file keeps its permissions
+ * @param {string} file - The path of the file
+ * @param {string} text - The new content
+ */
+export function writeFileAtomic(file, text) {
+  const temp = join(dirname(file), `.${basename(file)}.${process.pid}.tmp`);
+  try {
+    writeFileSync(temp, text, { mode: statSync(file).mode });
+    renameSync(temp, file);
+  } catch (error) {
+    rmSync(temp, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Writes a file atomically like `writeFileAtomic()`, from text that is written as it is made, so that files that don't
+ * fit in memory can be written too
+ * @param {string} file - The path of the file
+ * @param {AsyncIterable<string>} chunks - The new content, in chunks
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomicStream(file, chunks) {
+  const temp = join(dirname(file), `.${basename(file)}.${process.pid}.tmp`);
+  try {
+    await pipeline(Readable.from(chunks), createWriteStream(temp, { mode: statSync(file).mode }));
+    renameSync(temp, file);
+  } catch (error) {
+    rmSync(temp, { force: true });
+    throw error;
+  }
+}
@@ -1,10 +1,66 @@
+import { DEFAULT_THEME, Highlighter } from "./color.js";
+import { COMMENTS } from "./jsonc.js";
+import { PRESETS, detectPreset } from "./presets.js";
+import { asciiLength, measureText } from "./width.js";
+
+export { DEFAULT_THEME } from "./color.js";
+export { parseJSONC } from "./jsonc.js";
+
+/**
+ * A JSON.stringify compatible replacer: either a function called with the holder as `this`, or an allow-list of keys
+ * @typedef {((this: any, key: string, value: any) => any) | (string | number)[]} Replacer
+ */
+
+/**
+ * How object keys are ordered after the priority keys: alphabetically, alphabetically but numeric-aware (eg: `item2`
+ * before `item10`), in insertion order, or with a custom comparator
+ * @typedef {'alpha' | 'natural' | 'insertion' | ((a: string, b: string) => number)} KeySort
+ */
+
+/**
+ * How to order the keys of the objects matched by a `keyOrder` selector: a priority list (the rest sorted with
+ * `keySort`), a `keySort` mode, `false` to keep the insertion order, or any of the sorting options
+ * @typedef {string[] | KeySort | false | { sortKeys?: boolean, firstKeys?: string[], keySort?: KeySort }} KeyOrderRule
+ */
+
+/**
+ * How numbers are written. Rounding changes the values in the output, it isn't only a display setting
+ * @typedef {Object} NumberFormat
+ * @property {number} [precision] - Maximum number of significant digits (1-100)
+ * @property {number} [decimals] - Maximum number of decimal places (0-100)
+ * @property {'auto' | 'never'} [exponent='auto'] - Whether very large and very small numbers use an exponent like JSON.stringify (`1e+21`, `1e-7`), or are always written as plain decimals
+ * @property {'normalize' | 'keep'} [negativeZero='normalize'] - Whether `-0` (including values that round to it) is written as `0` like JSON.stringify, or as `-0`
+ */
+
 /**
  * @typedef {Object} HumanJSONOptions
+ * @property {Replacer | null} [replacer] - Function or key allow-list, with the same semantics as the JSON.stringify replacer argument
  * @property {boolean} [sortKeys=true] - Whether to sort object keys alphabetically
  * @property {string[]} [firstKeys=['name', 'id', 'value', 'version', 'date', 'errors']] - Keys to prioritize at the top when sorting
+ * @property {KeySort} [keySort='alpha'] - How to sort the keys that aren't in `firstKeys`
+ * @property {string} [locale='en'] - The locale used to compare keys, fixed so that the output is the same on every machine
+ * @property {Record<string, KeyOrderRule>} [keyOrder] - Key ordering for specific paths, by JSONPath-like selector (eg: `$.repository` or `$..features[*]`). The last matching selector wins
+ * @property {string} [preset] - A built-in key order for a well-known format (eg: 'npm-package', 'geojson', 'openapi', 'jsonld'), or 'auto' to detect it from the value
+ * @property {'json' | 'json5' | 'jsonc'} [output='json'] - The syntax to write: strict JSON, JSON5 (unquoted keys, single-quoted strings when that needs fewer escapes, and trailing commas) or JSON with comments
+ * @property {'minimal' | 'ascii' | 'html-safe'} [escape='minimal'] - Which characters in strings and keys are written as `\uXXXX` escapes: only the ones JSON requires (like JSON.stringify), everything above U+007F, or `<`, `>`, `&`, U+2028 and U+2029 so that the output can be embedded in a `<script>` tag
  * @property {'none' | 'array' | 'object' | 'all'} [fill='array'] - Whether to fill wrap simple values on the same line
  * @property {'none' | 'array' | 'object' | 'all'} [spacing='object'] - Whether to add padding around brackets and braces (arrays, and objects)
+ * @property {boolean} [align=false] - Whether to line up the keys and values of arrays of flat objects that have the same keys in columns
+ * @property {boolean} [grid=false] - Whether to write arrays of numeric arrays (matrices) one row per line, with the numbers lined up in columns
  * @property {boolean} [appendNewLine=true] - Whether to append a newline at the end
+ * @property {'lf' | 'crlf' | 'auto'} [eol='lf'] - The line endings to write. 'auto' keeps the line endings of the input file in the CLI, and is 'lf' everywhere else
+ * @property {number} [tabWidth=4] - Number of columns a tab in the indent counts for when measuring line length
+ * @property {import('./width.js').Measure} [measure='display'] - How line length is measured: in UTF-16 code units (like `string.length`), in grapheme clusters (user-perceived characters), or in display columns where East Asian wide characters and emoji count as two and zero width characters as none
+ * @property {'throw' | 'placeholder'} [circular='throw'] - Whether a circular reference throws a TypeError or is written as a "[Circular ~.path]" string
+ * @property {'throw' | 'string' | 'number'} [bigint='throw'] - Whether a BigInt throws a TypeError, is written as a quoted string, or as a raw number literal
+ * @property {'array' | 'base64' | 'hex'} [binary='array'] - Whether ArrayBuffers, DataViews and TypedArrays are written as an array of numbers, or as a base64 or hex string
+ * @property {number} [maxStringLength=Infinity] - Truncate strings with more characters (code points), with a `…(+N chars)` marker at the end
+ * @property {number} [maxArrayItems=Infinity] - Write only the first items of longer arrays, followed by a `"… N more items"` string
+ * @property {number} [maxObjectKeys=Infinity] - Write only the first keys (after sorting) of larger objects, followed by a `"…": "N more keys"` entry (with more `…` if the object has that key)
+ * @property {number} [maxDepth=Infinity] - Write objects and arrays nested deeper than this as `{…}` / `[…]` (which isn't valid JSON)
+ * @property {NumberFormat | null} [numbers] - Rounding and notation of numbers. By default numbers are written exactly like JSON.stringify
+ * @property {boolean} [typeTags=false] - Whether to write Map, Set, Date, RegExp, URL, Error and Symbol values as `{ "$type": ... }` objects that HumanJSON.parse() can revive
+ * @property {boolean | import('./color.js').Theme} [color=false] - Whether to colour keys, strings, numbers, booleans, null and punctuation with ANSI escape codes for a terminal: true for `DEFAULT_THEME`, or a theme (on top of the default one). The layout is the same as without colours: escape codes don't count toward `maxLineLength`
  */
 
 /**
@@ -13,43 +69,225 @@
 export class HumanJSON {
   /** @type {string} */
   #indent;
+  /** @type {number} */
+  #tabWidth;
   /** @type {'none' | 'array' | 'object' | 'all'} */
   #spacing;
   /** @type {number} */
   #maxLength;
   /** @type {'none' | 'array' | 'object' | 'all'} */
   #fill;
+  /** @type {boolean} */
+  #align;
+  /** @type {boolean} */
+  #grid;
   /** @type {PriorityKeySorter} */
   #keySorter;
+  /** @type {{ selector: PathSelector, keySorter: PriorityKeySorter | null }[]} */
+  #keyOrder;
   /** @type {boolean} */
   #sortKeys;
   /** @type {boolean} */
   #appendNewLine;
+  /** @type {string} */
+  #eol;
+  /** @type {((this: any, key: string, value: any) => any) | undefined} */
+  #replacer;
+  /** @type {string[] | undefined} */
+  #propertyList;
+  /** @type {'throw' | 'placeholder'} */
+  #circular;
+  /** @type {'throw' | 'string' | 'number'} */
+  #bigint;
+  /** @type {'array' | 'base64' | 'hex'} */
+  #binary;
+  /** @type {((preset: string) => HumanJSON) | undefined} */
+  #formatterFor;
+  /** @type {boolean} */
+  #typeTags;
+  /** @type {NumberFormat | null} */
+  #numbers;
+  /** @type {'json' | 'json5' | 'jsonc'} */
+  #output;
+  /** @type {'minimal' | 'ascii' | 'html-safe'} */
+  #escape;
+  /** @type {import('./width.js').Measure} */
+  #measure;
+  /** @type {import('./color.js').Theme | null} */
+  #theme;
+  /** @type {{ string: number, array: number, object: number, depth: number }} */
+  #limits;
+  /** @type {WeakMap<object, string | null>} The one line forms built by #flatForm() in the current call */
+  #flatForms = new WeakMap();
+  /** @type {WeakMap<object, Map<string | symbol, any>>} The entries resolved ahead of #stringify() in the current call */
+  #resolved = new WeakMap();
+  /** @type {Map<string, number>} The widths of the non-ASCII strings measured in full by #width() in the current call */
+  #widths = new Map();
 
   /**
    * Creates a new HumanJSON formatter instance
-   * @param {number} [indentSpaces=2] - Number of spaces for indentation
+   * @param {number | string} [indentSpaces=2] - Number of spaces for indentation, or the indent string (eg: "\t") clamped to 10 characters
    * @param {number} [maxLineLength=120] - Maximum line length before wrapping
    * @param {HumanJSONOptions} [options] - Formatting options
    */
-  constructor(
-    indentSpaces = 2,
-    maxLineLength = 120,
-    {
+  constructor(indentSpaces = 2, maxLineLength = 120, options = {}) {
+    const {
       sortKeys = true,
       firstKeys = ["name", "id", "value", "version", "date", "errors"],
+      keySort = "alpha",
+      locale = "en",
+      keyOrder = {},
       fill = "array",
       spacing = "object",
+      align = false,
+      grid = false,
       appendNewLine = true,
-    } = {},
-  ) {
-    this.#indent = " ".repeat(indentSpaces);
+      eol = "lf",
+      replacer = null,
+      tabWidth = 4,
+      measure = "display",
+      circular = "throw",
+      bigint = "throw",
+      binary = "array",
+      typeTags = false,
+      numbers = null,
+      maxStringLength = Infinity,
+      maxArrayItems = Infinity,
+      maxObjectKeys = Infinity,
+      maxDepth = Infinity,
+      output = "json",
+      escape = "minimal",
+      color = false,
+    } = HumanJSON.#withPreset(options);
+
+    if (options.preset === "auto") {
+      // the preset is detected for each value, so keep a formatter for each preset that is found
+      /** @type {Map<string, HumanJSON>} */
+      const formatters = new Map();
+      this.#formatterFor = (preset) => {
+        const formatter = formatters.get(preset) ?? new HumanJSON(indentSpaces, maxLineLength, { ...options, preset });
+        formatters.set(preset, formatter);
+        return formatter;
+      };
+    }
+    this.#indent = typeof indentSpaces === "string" ? indentSpaces.slice(0, 10) : " ".repeat(indentSpaces);
+    this.#tabWidth = tabWidth ?? 4;
+    this.#measure = measure ?? "display";
+    this.#circular = circular ?? "throw";
+    this.#bigint = bigint ?? "throw";
+    if (!["throw", "string", "number"].includes(this.#bigint)) {
+      throw new RangeError(`Unknown bigint option "${bigint}". Use one of: throw, string, number`);
+    }
+    this.#binary = binary ?? "array";
+    this.#typeTags = Boolean(typeTags ?? false);
+    this.#numbers = HumanJSON.#toNumberFormat(numbers);
+    this.#output = output ?? "json";
+    this.#escape = escape ?? "minimal";
+    this.#theme = color === true ? DEFAULT_THEME : color || null;
+    this.#limits = {
+      string: HumanJSON.#toLimit("maxStringLength", maxStringLength),
+      array: HumanJSON.#toLimit("maxArrayItems", maxArrayItems),
+      object: HumanJSON.#toLimit("maxObjectKeys", maxObjectKeys),
+      depth: HumanJSON.#toLimit("maxDepth", maxDepth),
+    };
     this.#spacing = spacing ?? "object";
     this.#maxLength = this.#indent === "" ? Infinity : maxLineLength || 120;
     this.#fill = fill ?? "array";
-    this.#keySorter = new PriorityKeySorter(firstKeys ?? ["name", "id", "value", "version", "date", "errors"]);
+    this.#align = Boolean(align ?? false);
+    this.#grid = Boolean(grid ?? false);
+    this.#keySorter = new PriorityKeySorter(
+      firstKeys ?? ["name", "id", "value", "version", "date", "errors"],
+      keySort ?? "alpha",
+      locale ?? "en",
+    );
+    this.#keyOrder = Object.entries(keyOrder ?? {}).map(([selector, rule]) => {
+      if (Array.isArray(rule)) rule = { firstKeys: rule };
+      else if (rule === false) rule = { sortKeys: false };
+      else if (typeof rule !== "object") rule = { keySort: rule };
+
+      const keySorter = new PriorityKeySorter(
+        rule.firstKeys ?? firstKeys ?? ["name", "id", "value", "version", "date", "errors"],
+        rule.keySort ?? keySort ?? "alpha",
+        locale ?? "en",
+      );
+      return { selector: new PathSelector(selector), keySorter: rule.sortKeys === false ? null : keySorter };
+    });
     this.#sortKeys = Boolean(sortKeys ?? true);
     this.#appendNewLine = Boolean(appendNewLine ?? true);
+    this.#eol = eol === "crlf" ? "\r\n" : "\n";
+    if (typeof replacer === "function") {
+      this.#replacer = replacer;
+    } else if (Array.isArray(replacer)) {
+      this.#propertyList = HumanJSON.#toPropertyList(replacer);
+    }
+  }
+
+  /**
+   * Merges the options of the chosen preset under the explicit options (and the explicit `keyOrder` selectors after
+   * the preset's, so that they win)
+   * @param {HumanJSONOptions} options - The formatting options
+   * @returns {HumanJSONOptions} The options with the preset applied
+   */
+  static #withPreset(options) {
+    const { preset } = options;
+    if (!preset || preset === "auto") {
+      return options;
+    }
+    if (!Object.hasOwn(PRESETS, preset)) {
+      throw new RangeError(`Unknown preset "${preset}". Use one of: auto, ${Object.keys(PRESETS).join(", ")}`);
+    }
+    const presetOptions = PRESETS[preset];
+    return { ...presetOptions, ...options, keyOrder: { ...presetOptions.keyOrder, ...options.keyOrder } };
+  }
+
+  /**
+   * Checks the `numbers` option, since toFixed() and toPrecision() only accept a limited range of digits
+   * @param {NumberFormat | null} numbers - The number format option
+   * @returns {NumberFormat | null} The number format, or null to write numbers like JSON.stringify
+   */
+  static #toNumberFormat(numbers) {
+    if (!numbers) {
+      return null;
+    }
+    const { precision, decimals } = numbers;
+    if (precision !== undefined && !(Number.isInteger(precision) && precision >= 1 && precision <= 100)) {
+      throw new RangeError(`Invalid numbers.precision ${precision}: must be an integer between 1 and 100`);
+    }
+    if (decimals !== undefined && !(Number.isInteger(decimals) && decimals >= 0 && decimals <= 100)) {
+      throw new RangeError(`Invalid numbers.decimals ${decimals}: must be an integer between 0 and 100`);
+    }
+    return numbers;
+  }
+
+  /**
+   * Checks a `max*` limit option, which counts characters, items, keys or levels
+   * @param {string} name - The name of the option
+   * @param {number | undefined} limit - The limit
+   * @returns {number} The limit, or Infinity for no limit
+   */
+  static #toLimit(name, limit) {
+    limit ??= Infinity;
+    if (!(limit === Infinity || (Number.isInteger(limit) && limit >= 0))) {
+      throw new RangeError(`Invalid ${name} ${limit}: must be a non-negative integer`);
+    }
+    return limit;
+  }
+
+  /**
+   * Builds the key allow-list from an array replacer the same way JSON.stringify does: strings and numbers (or their
+   * object wrappers) are kept in order, duplicates and anything else are dropped
+   * @param {any[]} replacer - The array replacer
+   * @returns {string[]} The de-duplicated list of keys
+   */
+  static #toPropertyList(replacer) {
+    /** @type {Set<string>} */
+    const keys = new Set();
+    for (const item of replacer) {
+      if (["string", "number"].includes(typeof item) || item instanceof String || item instanceof Number) {
+        keys.add(String(item));
+      }
+    }
+    return [...keys];
   }
 
   /**
@@ -60,25 +298,158 @@ export class HumanJSON {
    * Special consideration is made so that you can also support the standard Javascript stringify signature
    * `JSON.stringify(obj, null, 2)` --> `HumanJSON.stringify(obj, null, 2)`
    *
+   * `JSON.stringify(obj, replacer, 2)` --> `HumanJSON.stringify(obj, replacer, 2)`
+   * `JSON.stringify(obj, null, "\t")` --> `HumanJSON.stringify(obj, null, "\t")`
+   *
    * @param {any} obj - The value to stringify
-   * @param {number | null} [indentSpaces=2] - Number of spaces for indentation. Support null for backward compat with JSON.stringify(obj, null, 2). Does not suport legacy function | number[] | string[]
-   * @param {number} [maxLineLength=120] - Maximum line length before wrapping
+   * @param {number | string | Replacer | null} [indentSpaces=2] - Number of spaces (or the indent string) for indentation. Support null or a replacer for backward compat with JSON.stringify(obj, null, 2)
+   * @param {number | string} [maxLineLength=120] - Maximum line length before wrapping. Is the indent when called as JSON.stringify(obj, null, 2)
    * @param {HumanJSONOptions} [options] - Formatting options
    * @returns {string} The formatted JSON string
    */
   static stringify(obj, indentSpaces = 2, maxLineLength = 120, options = {}) {
     // special case to have backward compatibility with the standard Javascript stringify signature
-    // check that the maxLineLength is < 10 and indentSpaces is null
-    // eg: JSON.stringify(obj, null, 2). If so, then indent = maxLineLength
+    // check that the maxLineLength is < 10 (or a string) and indentSpaces is null
+    // eg: JSON.stringify(obj, null, 2) or JSON.stringify(obj, null, "\t"). If so, then indent = maxLineLength
     if (indentSpaces === null || typeof indentSpaces === "function" || Array.isArray(indentSpaces)) {
-      if (maxLineLength < 10) {
+      if (indentSpaces !== null) {
+        options = { ...options, replacer: indentSpaces };
+      }
+      if (typeof maxLineLength === "string" || maxLineLength < 10) {
         indentSpaces = maxLineLength;
         maxLineLength = 120;
       } else {
         indentSpaces = 2;
       }
     }
-    return new HumanJSON(indentSpaces, maxLineLength, options).stringify(obj);
+    return new HumanJSON(indentSpaces, Number(maxLineLength), options).stringify(obj);
+  }
+
+  /**
+   * Converts a JavaScript value to a human-readable JSON string in chunks, for values too large to build up in memory.
+   * The chunks add up to the same string as `HumanJSON.stringify()`
+   *
+   * `for await (const chunk of HumanJSON.stream(obj)) process.stdout.write(chunk)`
+   *
+   * @param {any} obj - The value to stringify
+   * @param {number | string} [indentSpaces=2] - Number of spaces for indentation, or the indent string (eg: "\t")
+   * @param {number} [maxLineLength=120] - Maximum line length before wrapping
+   * @param {HumanJSONOptions} [options] - Formatting options
+   * @returns {AsyncGenerator<string>} The chunks of the formatted JSON string
+   */
+  static stream(obj, indentSpaces = 2, maxLineLength = 120, options = {}) {
+    return new HumanJSON(indentSpaces, maxLineLength, options).stream(obj);
+  }
+
+  /**
+   * Parses a JSON string like JSON.parse, and revives the `{ "$type": ... }` objects written with the `typeTags` option
+   * back into their original types
+   * @param {string} text - The JSON string to parse
+   * @param {(this: any, key: string, value: any) => any} [reviver] - A JSON.parse reviver, called after the types are revived
+   * @returns {any} The parsed value
+   */
+  static parse(text, reviver) {
+    return JSON.parse(text, function (key, value) {
+      const revived = HumanJSON.revive(key, value);
+      return reviver ? reviver.call(this, key, revived) : revived;
+    });
+  }
+
+  /**
+   * A JSON.parse reviver that rebuilds the Map, Set, Date, RegExp, URL, Error and Symbol values written with the
+   * `typeTags` option, and takes the extra "$" off the keys like "$type" of other objects. Objects with a `$type` whose
+   * fields don't match the type are left as they are. eg: `JSON.parse(text, HumanJSON.revive)`
+   * @param {string} _key - The key of the value being revived
+   * @param {any} value - The parsed value
+   * @returns {any} The revived value
+   */
+  static revive(_key, value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return value;
+    }
+    if (typeof value.$type !== "string") {
+      return HumanJSON.#unescapeTypeKeys(value);
+    }
+    const { $type, ...fields } = value;
+    switch ($type) {
+      case "Map":
+        return Array.isArray(fields.entries) &&
+          fields.entries.every((/** @type {any} */ entry) => Array.isArray(entry) && entry.length === 2)
+          ? new Map(fields.entries)
+          : value;
+      case "Set":
+        return Array.isArray(fields.values) ? new Set(fields.values) : value;
+      case "Date":
+        return typeof fields.value === "string" || fields.value === null ? new Date(fields.value ?? NaN) : value;
+      case "RegExp":
+        if (typeof fields.source !== "string" || typeof fields.flags !== "string") return value;
+        try {
+          return new RegExp(fields.source, fields.flags);
+        } catch {
+          return value;
+        }
+      case "URL":
+        if (typeof fields.href !== "string") return value;
+        try {
+          return new URL(fields.href);
+        } catch {
+          return value;
+        }
+      case "Symbol":
+        if (typeof fields.key === "string") return Symbol.for(fields.key);
+        return "key" in fields || !["string", "undefined"].includes(typeof fields.description)
+          ? value
+          : Symbol(fields.description);
+      case "Error": {
+        if (typeof fields.name !== "string" || typeof fields.message !== "string") {
+          return value;
+        }
+        const { name, message, stack, cause, errors, ...props } = HumanJSON.#unescapeTypeKeys(fields);
+        const options = "cause" in fields ? { cause } : undefined;
+        const error = Array.isArray(errors)
+          ? new AggregateError(errors, message, options)
+          : new Error(message, options);
+        // restore the subclass (eg: TypeError) when it is a known global, otherwise keep the name as is
+        const ErrorType = globalThis[/** @type {keyof typeof globalThis} */ (name)];
+        if (typeof ErrorType === "function" && ErrorType.prototype instanceof Error) {
+          Object.setPrototypeOf(error, ErrorType.prototype);
+        } else if (name !== error.name) {
+          error.name = name;
+        }
+        if (stack !== undefined) error.stack = stack;
+        return Object.assign(error, props);
+      }
+      default:
+        return value;
+    }
+  }
+
+  /** Keys that could be mistaken for the `$type` of a type tag: "$type", and "$$type" and so on once escaped */
+  static #TYPE_KEY = /^\$+type$/;
+
+  /**
+   * Adds a "$" to the keys like "$type" of an object that isn't a type tag (with `typeTags`), so that HumanJSON.revive()
+   * can tell the object from a type tag and take the "$" off
+   * @param {string} name - The key
+   * @returns {string} The key to write
+   */
+  static #escapeTypeKey(name) {
+    return HumanJSON.#TYPE_KEY.test(name) ? `$${name}` : name;
+  }
+
+  /**
+   * Takes the "$" added by #escapeTypeKey() off the keys of a parsed object, keeping their order
+   * @param {Record<string, any>} obj - The parsed object
+   * @returns {Record<string, any>} The object (or a copy with the keys renamed)
+   */
+  static #unescapeTypeKeys(obj) {
+    const keys = Object.keys(obj);
+    if (!keys.some((key) => key.startsWith("$$") && HumanJSON.#TYPE_KEY.test(key))) {
+      return obj;
+    }
+    return Object.fromEntries(
+      keys.map((key) => [key.startsWith("$$") && HumanJSON.#TYPE_KEY.test(key) ? key.slice(1) : key, obj[key]]),
+    );
   }
 
   /**
@@ -87,58 +458,199 @@ export class HumanJSON {
    * @returns {string} The formatted JSON string
    */
   stringify(obj) {
-    const result = this.#stringify(obj, "", 0) ?? "";
-    return result + (this.#appendNewLine ? "\n" : "");
+    const preset = this.#formatterFor && detectPreset(obj);
+    if (this.#formatterFor && preset) {
+      return this.#formatterFor(preset).stringify(obj);
+    }
+    this.#flatForms = new WeakMap();
+    this.#resolved = new WeakMap();
+    this.#widths = new Map();
+    const result = this.#stringify(this.#resolve({ "": obj }, ""), "", 0, [], new Map()) ?? "";
+    const { before, after } = this.#documentComments(obj);
+    const text = this.#withLineEndings(before + result + after + (this.#appendNewLine ? "\n" : ""));
+    if (!this.#theme) {
+      return text;
+    }
+    // colours are added to the formatted text, so they can't change the layout
+    const highlighter = new Highlighter(this.#theme);
+    return highlighter.push(text) + highlighter.flush();
   }
 
-  // Note: This regex matches even invalid JSON strings, but since we're
-  // working on the output of `JSON.stringify` we know that only valid strings
-  // are present (unless the user supplied a weird `options.indent` but in
-  // that case we don't care since the output would be invalid anyway).
-  /** @type {RegExp} */
-  static #STRING_OR_JSON_TOKENS = /("(?:[^\\"]|\\.)*")|[:,]|[}{]|[\][]/g;
+  /**
+   * Converts a JavaScript value to a human-readable JSON string in chunks, so that very large values can be written
+   * out (eg: to a file or stdout) as they are formatted instead of being built up in memory first. Objects and arrays
+   * that are written one entry per line are streamed entry by entry. The chunks add up to the same string as
+   * `stringify()`
+   * @param {any} obj - The value to stringify
+   * @returns {AsyncGenerator<string>} The chunks of the formatted JSON string
+   */
+  async *stream(obj) {
+    const preset = this.#formatterFor && detectPreset(obj);
+    if (this.#formatterFor && preset) {
+      yield* this.#formatterFor(preset).stream(obj);
+      return;
+    }
+    this.#flatForms = new WeakMap();
+    this.#resolved = new WeakMap();
+    this.#widths = new Map();
+    // the highlighter keeps back the tokens that are cut at the end of a chunk, for the next one
+    const highlighter = this.#theme && new Highlighter(this.#theme);
+    const { before, after } = this.#documentComments(obj);
+    let buffer = before;
+    for (const chunk of this.#render(this.#resolve({ "": obj }, ""), "", 0, [], new Map())) {
+      buffer += chunk;
+      if (buffer.length >= HumanJSON.#CHUNK_SIZE) {
+        const text = this.#withLineEndings(buffer);
+        yield highlighter ? highlighter.push(text) : text;
+        buffer = "";
+      }
+    }
+    buffer += after + (this.#appendNewLine ? "\n" : "");
+    const text = this.#withLineEndings(buffer);
+    const last = highlighter ? highlighter.push(text) + highlighter.flush() : text;
+    if (last) {
+      yield last;
+    }
+  }
+
+  /**
+   * The comments at the top and bottom of a document from parseJSONC()
+   * @param {any} obj - The value being stringified
+   * @returns {{ before: string, after: string }} The comment lines to write before and after the value
+   */
+  #documentComments(obj) {
+    /** @type {import('./jsonc.js').Comments | undefined} */
+    const comments = this.#output === "json" ? undefined : obj?.[COMMENTS];
+    // block comments keep the line endings of the input, which are converted with the rest of the output
+    const lf = (/** @type {string} */ comment) => comment.replace(/\r\n?/g, "\n");
+    return {
+      before: (comments?.before ?? []).map((comment) => lf(comment) + "\n").join(""),
+      after: (comments?.after ?? []).map((comment) => "\n" + lf(comment)).join(""),
+    };
+  }
+
+  /**
+   * Converts the line endings of (a chunk of) the output to the `eol` option. Newlines in strings are escaped, so
+   * every newline in the output is a line ending
+   * @param {string} text - The output, with LF line endings
+   * @returns {string} The output with the configured line endings
+   */
+  #withLineEndings(text) {
+    return this.#eol === "\n" ? text : text.replaceAll("\n", this.#eol);
+  }
+
+  /** The size of the chunks yielded by stream() */
+  static #CHUNK_SIZE = 64 * 1024;
+
+  /** The characters that the `escape` option writes as `\uXXXX` escapes (after JSON.stringify) */
+  static #ESCAPES = {
+    ascii: /[\u0080-\uffff]/g,
+    "html-safe": /[<>&\u2028\u2029]/g,
+  };
+
   /** @type {RegExp} */
-  static #STRING_OR_MINOR_JSON_TOKENS = /("(?:[^\\"]|\\.)*")|[:,]/g;
-  static #STRING_OR_MINOR_JSON_TOKENS_ARRAY = /("(?:[^\\"]|\\.)*")|[:,]|[\][]/g;
-  static #STRING_OR_MINOR_JSON_TOKENS_OBJECT = /("(?:[^\\"]|\\.)*")|[:,]|[}{]/g;
+  static #IDENTIFIER = /^[\p{ID_Start}$_][\p{ID_Continue}$\u200C\u200D]*$/u;
+
   /** @type {Map<string, string>} */
   static #PADDING_MAP = new Map([
     ["{", "{ "],
     ["[", "[ "],
     ["}", " }"],
     ["]", " ]"],
-    [",", ", "],
-    [":", ": "],
   ]);
 
   /**
-   * Adds padding around JSON tokens for readability
-   * @param {string} string - The string to pad
+   * Adds padding inside a bracket or brace for readability
+   * @param {string} delimiter - The opening or closing bracket or brace
    * @param {'none' | 'array' | 'object' | 'all'} padBlocks - Whether to pad block delimiters
-   * @returns {string} The padded string
+   * @returns {string} The padded delimiter
    */
-  #pad(string, padBlocks) {
-    let regex = HumanJSON.#STRING_OR_MINOR_JSON_TOKENS;
-    if (padBlocks === "all") regex = HumanJSON.#STRING_OR_JSON_TOKENS;
-    if (padBlocks === "array") regex = HumanJSON.#STRING_OR_MINOR_JSON_TOKENS_ARRAY;
-    if (padBlocks === "object") regex = HumanJSON.#STRING_OR_MINOR_JSON_TOKENS_OBJECT;
+  #pad(delimiter, padBlocks) {
+    const block = delimiter === "[" || delimiter === "]" ? "array" : "object";
+    if (padBlocks !== "all" && padBlocks !== block) {
+      return delimiter;
+    }
+    return HumanJSON.#PADDING_MAP.get(delimiter) ?? delimiter;
+  }
 
-    return string.replace(regex, (match) => HumanJSON.#PADDING_MAP.get(match) ?? match);
+  /**
+   * Measures how many columns a string takes up in the unit of the `measure` option, counting each tab as `tabWidth`
+   * columns. The same strings are measured for each layout that is tried, so the widths of the ones that aren't ASCII
+   * (which take much longer to measure) are kept for the current call
+   * @param {string} string - The string to measure
+   * @param {number} [limit=Infinity] - Stop measuring once the string is wider than this (eg: the rest of the line)
+   * @returns {number} The width in columns (more than the limit, but not the whole width, if it is passed)
+   */
+  #width(string, limit = Infinity) {
+    const ascii = this.#measure === "codeunits" ? string.length : asciiLength(string, limit);
+    const cache = ascii === undefined;
+    const cached = cache ? this.#widths.get(string) : undefined;
+    if (cached !== undefined) {
+      return cached;
+    }
+    let width = ascii ?? measureText(string, this.#measure, limit);
+    // a width that stopped at the limit isn't the whole width (and the tabs past it don't matter)
+    if (width > limit) {
+      return width;
+    }
+    const tabs = string.includes("\t") ? string.split("\t").length - 1 : 0;
+    width += tabs * (this.#tabWidth - 1);
+    if (cache) {
+      this.#widths.set(string, width);
+    }
+    return width;
+  }
+
+  /**
+   * Checks if the items of an object or array fit on one line (with their `, ` separators and brackets). Items are only
+   * measured as far as the rest of the line, so that long values aren't measured in full at every level
+   * @param {string[]} items - The stringified items
+   * @param {string} leftMargin - The indentation of the object or array
+   * @returns {boolean} True if the items can be written on one line
+   */
+  #fitsOnOneLine(items, leftMargin) {
+    let width = this.#width(leftMargin);
+    for (const item of items) {
+      // multi-line items can't fit either
+      if (item.includes("\n")) {
+        return false;
+      }
+      width += this.#width(item, this.#maxLength - width) + 2;
+      if (width >= this.#maxLength) {
+        return false;
+      }
+    }
+    return true;
   }
 
   /**
    * Checks if an array contains only simple primitive values
    * @param {any[]} values - Array of values to check
-   * @returns {boolean} True if all values are null, undefined, string, number, or boolean
+   * @returns {boolean} True if all values are null, undefined, string, number, bigint, or boolean
    */
   #containsOnlySimpleValues(values) {
     return (
       values.findIndex(
-        (v) => !(v === null || v === undefined || ["string", "number", "boolean"].includes(typeof v)),
+        (v) => !(v === null || v === undefined || ["string", "number", "bigint", "boolean"].includes(typeof v)),
       ) === -1
     );
   }
 
+  /**
+   * Checks if the items can be packed together by #fillWrap: simple values, and short arrays of simple values (like
+   * `[lng, lat]` pairs) that fit on one line and are kept whole
+   * @param {any[]} values - Array of values to check
+   * @param {string[]} items - The stringified values
+   * @returns {boolean} True if every value is simple or a one line array of simple values
+   */
+  #canFill(values, items) {
+    return values.every(
+      (v, i) =>
+        this.#containsOnlySimpleValues([v]) ||
+        (Array.isArray(v) && this.#containsOnlySimpleValues(v) && !items[i].includes("\n")),
+    );
+  }
+
   /**
    * Fill and wrap a line when all the values are simple / primitive types (string, number, boolean, null)
    * @param {string[]} items - Array of stringified items
@@ -148,13 +660,10 @@ export class HumanJSON {
   #fillWrap(items, nextIndent) {
     /** @type {string[]} */
     const newItems = [];
+    const room = this.#maxLength - this.#width(nextIndent);
     for (const v of items) {
       const lastItem = newItems[newItems.length - 1];
-      if (
-        newItems.length > 0 &&
-        lastItem !== undefined &&
-        nextIndent.length + lastItem.length + v.length < this.#maxLength
-      ) {
+      if (newItems.length > 0 && lastItem !== undefined && this.#width(lastItem, room) + this.#width(v, room) < room) {
         newItems.push(newItems.pop() + ", " + v);
       } else {
         newItems.push(v);
@@ -164,114 +673,746 @@ export class HumanJSON {
   }
 
   /**
-   * Internal recursive stringification method
-   * @param {any} obj - The value to stringify
-   * @param {string} leftMargin - Current indentation level
-   * @param {number} rightMarginSize - Size of right margin (for inline formatting)
-   * @returns {string | undefined} The stringified value
+   * Lines up the rows of an array of flat objects (or of a numeric matrix) in columns: each value is padded to the
+   * widest value of its column, numbers are right-aligned and everything else is left-aligned
+   * @param {string[]} items - The stringified objects or arrays
+   * @param {[string, string][][]} rows - The key and value parts of each object's entries (the key is empty for arrays)
+   * @param {string} leftMargin - The indentation of the array
+   * @param {string} nextIndent - The indentation of the rows
+   * @returns {string[] | undefined} The aligned rows, or undefined if the objects can't (or don't need to) be aligned
    */
-  #stringify(obj, leftMargin, rightMarginSize) {
-    // 1. Defer to the .toJSON() function if it exists
-    if (obj && typeof obj === "object" && "toJSON" in obj) {
-      const toJSON = obj.toJSON;
-      if (typeof toJSON === "function") {
-        const jsonObj = toJSON.call(obj);
-        obj = jsonObj;
-      }
+  #alignRows(items, rows, leftMargin, nextIndent) {
+    if (rows.length < 2 || this.#fitsOnOneLine(items, leftMargin)) {
+      return undefined;
+    }
+    const keys = rows[0].map(([keyPart]) => keyPart);
+    if (
+      keys.length === 0 ||
+      items.some((item) => item.includes("\n")) ||
+      rows.some((row) => row.length !== keys.length || row.some(([keyPart], i) => keyPart !== keys[i]))
+    ) {
+      return undefined;
+    }
+
+    // reduced rather than spread into Math.max(), which runs out of stack with hundreds of thousands of rows
+    const widths = keys.map((_, i) => rows.reduce((max, row) => Math.max(max, this.#width(row[i][1])), 0));
+    const numeric = keys.map((_, i) => rows.every((row) => /^-?\d/.test(row[i][1])));
+    const aligned = rows.map((row) => {
+      const cells = row.map(([keyPart, value], i) => {
+        const last = i === row.length - 1;
+        const padding = " ".repeat(widths[i] - this.#width(value));
+        if (numeric[i]) {
+          return keyPart + padding + value + (last ? "" : ",");
+        }
+        return keyPart + value + (last ? "" : ",") + padding;
+      });
+      const [open, close] = keys[0] === "" ? ["[", "]"] : ["{", "}"];
+      return this.#pad(open, this.#spacing) + cells.join(" ") + this.#pad(close, this.#spacing);
+    });
+
+    // fall back to the normal layout if any row is too long
+    const room = this.#maxLength - this.#width(nextIndent) - 1;
+    if (aligned.some((row) => this.#width(row, room) > room)) {
+      return undefined;
+    }
+    return aligned;
+  }
+
+  /**
+   * Writes a string literal, with the characters of the `escape` option escaped. JSON5 output uses single quotes when
+   * the string has more double quotes than single quotes
+   * @param {string} string - The string to write
+   * @returns {string} The quoted and escaped string
+   */
+  #quote(string) {
+    let json = JSON.stringify(string);
+    if (this.#escape !== "minimal") {
+      json = json.replace(
+        HumanJSON.#ESCAPES[this.#escape],
+        (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`,
+      );
+    }
+    if (this.#output !== "json5" || string.split('"').length <= string.split("'").length) {
+      return json;
+    }
+    const escaped = json.slice(1, -1).replace(/\\(.)|'/g, (match, escape) => {
+      if (escape === undefined) return "\\'";
+      return escape === '"' ? '"' : match;
+    });
+    return `'${escaped}'`;
+  }
+
+  /**
+   * The name an object key is written with: with `typeTags`, keys like "$type" get an extra "$" so that the object
+   * can't be mistaken for a type tag (HumanJSON.revive() takes it off)
+   * @param {string} name - The key
+   * @returns {string} The name to write
+   */
+  #keyName(name) {
+    return this.#typeTags ? HumanJSON.#escapeTypeKey(name) : name;
+  }
+
+  /**
+   * Writes an object key and its colon. JSON5 output leaves the quotes off keys that are identifiers
+   * @param {string} name - The key
+   * @returns {string} The key part of the entry (eg: `"name": ` or `name: `)
+   */
+  #keyPart(name) {
+    const quoted = this.#quote(name);
+    // identifiers may have characters that the `escape` option escapes
+    if (this.#output === "json5" && HumanJSON.#IDENTIFIER.test(name) && !quoted.includes("\\")) {
+      return name + ": ";
+    }
+    return quoted + ": ";
+  }
+
+  /**
+   * Writes a number with the `numbers` option: rounded to the decimal places first and then to the significant digits
+   * @param {number} n - The number to write
+   * @returns {string} The number literal (or null for NaN and Infinity, like JSON.stringify)
+   */
+  #formatNumber(n) {
+    const numbers = this.#numbers;
+    if (!numbers || !Number.isFinite(n)) {
+      return JSON.stringify(n);
+    }
+    let rounded = n;
+    if (numbers.decimals !== undefined) rounded = Number(rounded.toFixed(numbers.decimals));
+    if (numbers.precision !== undefined) rounded = Number(rounded.toPrecision(numbers.precision));
+    if (rounded === 0) {
+      // toFixed() drops the sign of -0, so check the original value
+      return numbers.negativeZero === "keep" && (n < 0 || Object.is(n, -0)) ? "-0" : "0";
+    }
+    return numbers.exponent === "never" ? toPlainDecimal(String(rounded)) : String(rounded);
+  }
+
+  /**
+   * Writes an object or array from parseJSONC() with one entry per line, and the comments of each entry on the lines
+   * above it or at the end of its line (after the comma)
+   * @param {string[]} items - The stringified entries
+   * @param {(string | number)[]} names - The key or array index of each entry
+   * @param {import('./jsonc.js').Comments} comments - The comments of the object or array
+   * @param {string[]} delimiters - The opening and closing brackets
+   * @param {string} leftMargin - The indentation of the object or array
+   * @param {string} nextIndent - The indentation of the entries
+   * @returns {string} The stringified object or array
+   */
+  #withComments(items, names, comments, delimiters, leftMargin, nextIndent) {
+    // continuation lines of block comments are lined up under the opening "/*"
+    const reindent = (/** @type {string} */ comment) => comment.replace(/\r?\n[ \t]*/g, "\n" + nextIndent + " ");
+
+    /** @type {string[]} */
+    const lines = [];
+    items.forEach((item, i) => {
+      const { before = [], after = [] } = comments.entries.get(names[i]) ?? {};
+      const comma = i < items.length - 1 || this.#output === "json5" ? "," : "";
+      lines.push(...before.map(reindent), [item + comma, ...after.map(reindent)].join(" "));
+    });
+    lines.push(...comments.end.map(reindent));
+
+    if (lines.length === 0) {
+      return delimiters.join("");
     }
+    return [delimiters[0], this.#indent + lines.join("\n" + nextIndent), delimiters[1]].join("\n" + leftMargin);
+  }
 
-    // 2. Upgrade Map, Set and ArrayBuffer
+  /**
+   * Reads `holder[key]` the same way JSON.stringify does: defer to `.toJSON(key)` if it exists, then pass the result
+   * through the replacer function (called with the holder as `this`). Values that get a type tag skip `.toJSON()`
+   * @param {any} holder - The object or array containing the value
+   * @param {string | symbol} key - The key (or array index) of the value in the holder
+   * @returns {any} The value to stringify
+   */
+  #resolve(holder, key) {
+    let value = holder[key];
+    if (
+      value &&
+      (typeof value === "object" || typeof value === "bigint") &&
+      typeof value.toJSON === "function" &&
+      !(this.#typeTags && HumanJSON.#toTagged(value))
+    ) {
+      value = value.toJSON(String(key));
+    }
+    if (this.#replacer) {
+      value = this.#replacer.call(holder, String(key), value);
+    }
+    return value;
+  }
+
+  /**
+   * Resolves an entry ahead of #stringify() (for the one line form, or to stream it), and keeps the value until the
+   * object is written out, so that `.toJSON()` and the replacer are only called once per value like with JSON.stringify
+   * @param {any} holder - The object or array containing the value
+   * @param {string | symbol} key - The key (or array index) of the value in the holder
+   * @param {object} [source=holder] - The object the holder was upgraded from (eg: the array it is a copy of)
+   * @returns {any} The value to stringify
+   */
+  #resolveAhead(holder, key, source = holder) {
+    let resolved = this.#resolved.get(source);
+    if (!resolved) {
+      resolved = new Map();
+      this.#resolved.set(source, resolved);
+    }
+    if (!resolved.has(key)) {
+      resolved.set(key, this.#resolve(holder, key));
+    }
+    return resolved.get(key);
+  }
+
+  /**
+   * Takes the entries of an object that were resolved ahead, as it is written out
+   * @param {object} source - The object (before it was upgraded)
+   * @returns {Map<string | symbol, any> | undefined} The resolved values by key, if any
+   */
+  #takeResolved(source) {
+    const resolved = this.#resolved.get(source);
+    this.#resolved.delete(source);
+    return resolved;
+  }
+
+  /**
+   * Lists the keys of an object in the order JSON.stringify visits them. With `typeTags`, the enumerable symbol keys
+   * are included at the end. The fields of a type tag are all kept, whatever the replacer's allow-list
+   * @param {object} obj - The object
+   * @param {boolean} [tagged=false] - Whether the object is a type tag from #toTagged()
+   * @returns {(string | symbol)[]} The keys to stringify
+   */
+  #keysOf(obj, tagged = false) {
+    if (tagged) {
+      return Object.keys(obj);
+    }
+    /** @type {(string | symbol)[]} */
+    const keys = this.#propertyList ?? Object.keys(obj);
+    if (!this.#typeTags) {
+      return keys;
+    }
+    const symbols = Object.getOwnPropertySymbols(obj);
+    return [...keys, ...symbols.filter((symbol) => Object.prototype.propertyIsEnumerable.call(obj, symbol))];
+  }
+
+  /**
+   * Wraps the extended types in a `{ "$type": ... }` object that HumanJSON.revive() can turn back into the original
+   * @param {any} value - The value to tag
+   * @returns {{ $type: string, [field: string]: any } | undefined} The tagged object, or undefined if the value isn't an extended type
+   */
+  static #toTagged(value) {
+    if (typeof value === "symbol") {
+      const key = Symbol.keyFor(value);
+      return key === undefined ? { $type: "Symbol", description: value.description } : { $type: "Symbol", key };
+    }
+    if (value instanceof Map) return { $type: "Map", entries: [...value.entries()] };
+    if (value instanceof Set) return { $type: "Set", values: [...value] };
+    if (value instanceof Date) return { $type: "Date", value: isNaN(value.getTime()) ? null : value.toISOString() };
+    if (value instanceof RegExp) return { $type: "RegExp", source: value.source, flags: value.flags };
+    if (value instanceof URL) return { $type: "URL", href: value.href };
+    if (value instanceof Error) {
+      return {
+        $type: "Error",
+        name: value.name,
+        message: value.message,
+        ...Object.fromEntries(Object.entries(value).map(([key, v]) => [HumanJSON.#escapeTypeKey(key), v])),
+        ...("cause" in value ? { cause: value.cause } : {}),
+        ...(value instanceof AggregateError ? { errors: value.errors } : {}),
+        stack: value.stack,
+      };
+    }
+    return undefined;
+  }
+
+  /**
+   * Upgrades the values JSON.stringify can't write as is: Maps become objects, Sets arrays and binary data its
+   * `binary` representation. Arrays are copied (so that sparse arrays have no holes)
+   * @param {any} obj - The value (or its type tag)
+   * @returns {any} The value to write
+   */
+  #upgrade(obj) {
     if (obj instanceof Map) {
-      obj = Object.fromEntries(obj.entries());
+      return Object.fromEntries(obj.entries());
     }
     if (obj instanceof Set) {
-      obj = [...obj];
+      return [...obj];
+    }
+    if (
+      obj instanceof ArrayBuffer ||
+      // SharedArrayBuffer isn't defined in browsers that aren't cross-origin isolated
+      (typeof SharedArrayBuffer !== "undefined" && obj instanceof SharedArrayBuffer) ||
+      ArrayBuffer.isView(obj)
+    ) {
+      obj = this.#fromBinary(obj);
     }
     if (obj instanceof Array) {
-      obj = Array.from(obj);
+      return Array.from(obj);
     }
+    return obj;
+  }
 
-    // 3. Trial JSON & quick escape
-    const trialString = JSON.stringify(obj);
+  /**
+   * Converts an ArrayBuffer, DataView or TypedArray to the configured `binary` representation. As an array, TypedArrays
+   * keep their element values (eg: Float32Array) while ArrayBuffers and DataViews are written as bytes
+   * @param {ArrayBufferLike | ArrayBufferView} binary - The binary data
+   * @returns {string | (number | bigint)[]} The hex or base64 string, or the array of values
+   */
+  #fromBinary(binary) {
+    const bytes = ArrayBuffer.isView(binary)
+      ? new Uint8Array(binary.buffer, binary.byteOffset, binary.byteLength)
+      : new Uint8Array(binary);
 
-    // Quick exit for undefined
-    if (trialString === undefined) {
-      return trialString;
+    if (this.#binary === "hex") {
+      return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+    }
+    if (this.#binary === "base64") {
+      let chars = "";
+      // chunked so that large buffers don't overflow the argument limit of fromCharCode()
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        chars += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(chars);
     }
+    if (ArrayBuffer.isView(binary) && !(binary instanceof DataView)) {
+      return Array.from(/** @type {any} */ (binary));
+    }
+    return Array.from(bytes);
+  }
 
-    if (obj === null) {
-      return trialString;
+  /**
+   * Finds how to sort the keys of the object at `path`: the last matching `keyOrder` rule, or the default sorting
+   * @param {(string | number)[]} path - The keys and array indexes from the root to the object
+   * @returns {PriorityKeySorter | null} The key sorter, or null if the keys keep their insertion order
+   */
+  #keySorterAt(path) {
+    for (let i = this.#keyOrder.length - 1; i >= 0; i--) {
+      const { selector, keySorter } = this.#keyOrder[i];
+      if (selector.matches(path)) {
+        return keySorter;
+      }
     }
+    return this.#sortKeys ? this.#keySorter : null;
+  }
+
+  /**
+   * Formats a path as a readable JSON path rooted at `~`. eg: `~.parent.children[0]` or `~["odd key"]`
+   * @param {(string | number)[]} path - The keys and array indexes from the root to the value
+   * @returns {string} The formatted path
+   */
+  static #formatPath(path) {
+    const segments = path.map((key) => {
+      if (typeof key === "number") return `[${key}]`;
+      return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+    });
+    return "~" + segments.join("");
+  }
+
+  /**
+   * The one line form of a value when the keys aren't sorted and it fits on the rest of the line. The one line forms
+   * are built bottom-up and cached (see #flatForm()), so each value is only written out once however deep it is (a
+   * replacer function must only see each value once and in order, so it never gets a one line form, and the one line
+   * form can't tag types, round numbers, truncate or write JSON5 and comments)
+   * @param {any} obj - The value, already resolved with `#resolve()`
+   * @param {string} leftMargin - Current indentation level
+   * @param {number} rightMarginSize - Size of right margin (for inline formatting)
+   * @param {Map<object, (string | number)[]>} ancestors - The objects currently being stringified, and their paths
+   * @returns {string | undefined} The one line form if it fits, otherwise undefined to fall through the normal path
+   */
+  #oneLine(obj, leftMargin, rightMarginSize, ancestors) {
+    if (
+      !obj ||
+      typeof obj !== "object" ||
+      this.#output !== "json" ||
+      this.#sortKeys ||
+      this.#replacer ||
+      this.#typeTags ||
+      this.#numbers ||
+      this.#keyOrder.length > 0 ||
+      Object.values(this.#limits).some((limit) => limit !== Infinity)
+    ) {
+      return undefined;
+    }
+    const flat = this.#flatForm(obj, ancestors);
+    const room = this.#maxLength - this.#width(leftMargin) - rightMarginSize;
+    return flat && this.#width(flat, room) <= room ? flat : undefined;
+  }
+
+  /**
+   * Builds the one line form of a value from the one line forms of its entries. Objects and arrays are cached for the
+   * rest of the stringify() or stream() call, and given up on as soon as they are wider than `maxLength`
+   * @param {any} obj - The value, already resolved with `#resolve()`
+   * @param {Map<object, (string | number)[]>} ancestors - The objects currently being stringified or built
+   * @returns {string | null | undefined} The one line form, null if the value can't be written on one line (too wide,
+   * or with circular references and BigInts which the normal path handles or reports with their path), or undefined if
+   * the value is excluded
+   */
+  #flatForm(obj, ancestors) {
+    if (!obj || typeof obj !== "object") {
+      return typeof obj === "bigint" && this.#bigint === "throw" ? null : this.#primitive(obj, []);
+    }
+    if (ancestors.has(obj)) {
+      return null;
+    }
+    let flat = this.#flatForms.get(obj);
+    if (flat !== undefined) {
+      return flat;
+    }
+
+    const value = this.#upgrade(obj);
+    if (!value || typeof value !== "object") {
+      flat = this.#primitive(value, []) ?? null;
+    } else {
+      const isArray = Array.isArray(value);
+      const keys = isArray ? Array.from(value, (_, i) => String(i)) : this.#keysOf(value);
+      /** @type {string[] | null} */
+      let items = [];
+      let width = 0;
+      ancestors.set(obj, []);
+      try {
+        for (const key of keys) {
+          const item = this.#flatForm(this.#resolveAhead(value, key, obj), ancestors);
+          if (item === undefined && !isArray) {
+            continue; // undefined values in an object are excluded
+          }
+          const keyPart = isArray ? "" : this.#keyPart(this.#keyName(String(key)));
+          width += this.#width(keyPart) + (item ? this.#width(item, this.#maxLength - width) : 4) + 2;
+          if (item === null || width > this.#maxLength) {
+            items = null;
+            break;
+          }
+          items.push(keyPart + (item ?? "null"));
+        }
+      } finally {
+        ancestors.delete(obj);
+      }
+      const [open, close] = isArray ? ["[", "]"] : ["{", "}"];
+      if (!items) {
+        flat = null;
+      } else if (items.length === 0) {
+        flat = open + close;
+      } else {
+        flat = this.#pad(open, this.#spacing) + items.join(", ") + this.#pad(close, this.#spacing);
+      }
+    }
+    this.#flatForms.set(obj, flat);
+    return flat;
+  }
+
+  /**
+   * Checks for a plain object or array, that #stringify() writes as is (unlike Map, Set, Date, ArrayBuffer, ...)
+   * @param {any} obj - The value to check
+   * @returns {boolean} True if the value is an array or an object with the Object (or null) prototype
+   */
+  static #isPlain(obj) {
+    if (!obj || typeof obj !== "object") {
+      return false;
+    }
+    const proto = Object.getPrototypeOf(obj);
+    return Array.isArray(obj) || proto === Object.prototype || proto === null;
+  }
+
+  /**
+   * Lists the entries of an object or array that can be streamed one per line by #render(): plain objects and arrays
+   * that won't be fill wrapped, aligned, truncated or written with comments
+   * @param {any} obj - The value to stream, already resolved with `#resolve()`
+   * @param {(string | number)[]} path - The keys and array indexes from the root to this value
+   * @param {Map<object, (string | number)[]>} ancestors - The objects currently being stringified, and their paths
+   * @returns {{ key: string | number, keyPart: string, value: any }[] | undefined} The resolved entries in the order
+   * they are written, or undefined if the value has to be stringified whole
+   */
+  #streamEntries(obj, path, ancestors) {
+    if (
+      !HumanJSON.#isPlain(obj) ||
+      ancestors.has(obj) ||
+      path.length >= this.#limits.depth ||
+      Object.values(this.#limits).some((limit) => limit !== Infinity) ||
+      this.#replacer || // the replacer has to see the values in the same order as JSON.stringify
+      (this.#output !== "json" && obj[COMMENTS])
+    ) {
+      return undefined;
+    }
+    // values that could end up fill wrapped (values that are dropped count too, since #stringify() ignores them)
+    const mayFill = (/** @type {any} */ v) =>
+      this.#containsOnlySimpleValues([v]) ||
+      ["function", "symbol"].includes(typeof v) ||
+      (Array.isArray(v) && this.#containsOnlySimpleValues(v));
+
+    if (Array.isArray(obj)) {
+      const values = Array.from(obj, (_, i) => this.#resolveAhead(obj, String(i)));
+      if (this.#align || this.#grid || (["array", "all"].includes(this.#fill) && values.every(mayFill))) {
+        return undefined;
+      }
+      return values.map((value, key) => ({ key, keyPart: "", value }));
+    }
+
+    const entries = this.#keysOf(obj).map((key) => {
+      const name = String(key);
+      return { key: name, keyPart: this.#keyPart(this.#keyName(name)), value: this.#resolveAhead(obj, key) };
+    });
+    if (["object", "all"].includes(this.#fill) && entries.every(({ value }) => mayFill(value))) {
+      return undefined;
+    }
+    const keySorter = this.#keySorterAt(path);
+    if (keySorter) {
+      entries.sort((a, b) => keySorter.compare(a.key, b.key));
+    }
+    return entries;
+  }
+
+  /**
+   * The streaming version of #stringify(): yields the same string in chunks. Objects and arrays that are written one
+   * entry per line are yielded entry by entry (the entries before the layout is known are held back), anything else
+   * is yielded whole. A value written on several lines always has a newline in its first chunk
+   * @param {any} obj - The value to stringify, already resolved with `#resolve()`
+   * @param {string} leftMargin - Current indentation level
+   * @param {number} rightMarginSize - Size of right margin (for inline formatting)
+   * @param {(string | number)[]} path - The keys and array indexes from the root to this value
+   * @param {Map<object, (string | number)[]>} ancestors - The objects currently being stringified, and their paths
+   * @returns {Generator<string, void, undefined>} The chunks of the stringified value (none if it is excluded)
+   */
+  *#render(obj, leftMargin, rightMarginSize, path, ancestors) {
+    const oneLine = HumanJSON.#isPlain(obj) ? this.#oneLine(obj, leftMargin, rightMarginSize, ancestors) : undefined;
+    const entries = oneLine === undefined ? this.#streamEntries(obj, path, ancestors) : undefined;
+    if (!entries) {
+      const text = oneLine ?? this.#stringify(obj, leftMargin, rightMarginSize, path, ancestors);
+      if (text !== undefined) {
+        yield text;
+      }
+      return;
+    }
+
+    const nextIndent = leftMargin + this.#indent;
+    const [open, close] = Array.isArray(obj) ? ["[", "]"] : ["{", "}"];
+    /** @type {string[]} */
+    const line = []; // the entries so far, while they still fit on one line
+    let width = this.#width(leftMargin) + 2;
+    let multiLine = false;
 
-    // Another quick exit if we aren't sorting keys (or if it's a simple object)
-    if (!this.#sortKeys || typeof obj !== "object") {
-      const available = this.#maxLength - leftMargin.length - rightMarginSize;
-      if (trialString.length <= available) {
-        const prettified = this.#pad(trialString, this.#spacing).trim();
+    ancestors.set(obj, path);
+    try {
+      for (const { key, keyPart, value } of entries) {
+        const rightMargin = Array.isArray(obj) ? 2 : this.#width(keyPart) + 1;
+        const chunks = this.#render(value, nextIndent, rightMargin, [...path, key], ancestors);
+        const first = chunks.next();
+        if (first.done && !Array.isArray(obj)) {
+          continue; // undefined values in an object are excluded
+        }
+        const item = keyPart + (first.done ? "null" : first.value);
 
-        if (prettified.length <= available) {
-          return prettified;
+        if (!multiLine && !item.includes("\n")) {
+          width += this.#width(item, this.#maxLength - width) + (line.length > 0 ? 2 : 0);
+          line.push(item);
+          if (width >= this.#maxLength) {
+            multiLine = true;
+            yield open + "\n" + nextIndent + line.join(",\n" + nextIndent);
+          }
+          continue;
+        }
+        if (multiLine) {
+          yield ",\n" + nextIndent + item;
+        } else {
+          multiLine = true;
+          yield open + "\n" + nextIndent + line.map((entry) => entry + ",\n" + nextIndent).join("") + item;
         }
+        yield* chunks;
       }
-      // fall through the normal path
+    } finally {
+      ancestors.delete(obj);
+      this.#takeResolved(obj);
     }
 
-    if (typeof obj !== "object") {
-      return trialString;
+    if (multiLine) {
+      yield (this.#output === "json5" ? "," : "") + "\n" + leftMargin + close;
+    } else if (line.length === 0) {
+      yield open + close;
+    } else {
+      yield this.#pad(open, this.#spacing) + line.join(", ") + this.#pad(close, this.#spacing);
     }
+  }
 
-    // 4. Objects & Arrays
+  /**
+   * Stringifies a primitive (undefined, functions and symbols are dropped, like JSON.stringify does)
+   * @param {any} obj - The primitive value
+   * @param {(string | number)[]} path - The keys and array indexes from the root to this value
+   * @returns {string | undefined} The stringified value
+   */
+  #primitive(obj, path) {
+    if (typeof obj === "bigint") {
+      if (this.#bigint === "string") return this.#quote(String(obj));
+      if (this.#bigint === "number") return String(obj);
+      throw new TypeError(
+        `Do not know how to serialize a BigInt at ${HumanJSON.#formatPath(path)}. Set the bigint option to "string" or "number"`,
+      );
+    }
+    if (typeof obj === "number") {
+      return this.#formatNumber(obj);
+    }
+    if (typeof obj === "string") {
+      // a string never has more code points than code units, so only long strings are counted
+      return this.#quote(obj.length > this.#limits.string ? truncate(obj, this.#limits.string) : obj);
+    }
+    return JSON.stringify(obj);
+  }
+
+  /**
+   * Internal recursive stringification method
+   * @param {any} obj - The value to stringify, already resolved with `#resolve()`
+   * @param {string} leftMargin - Current indentation level
+   * @param {number} rightMarginSize - Size of right margin (for inline formatting)
+   * @param {(string | number)[]} path - The keys and array indexes from the root to this value
+   * @param {Map<object, (string | number)[]>} ancestors - The objects currently being stringified, and their paths
+   * @param {[string, string][]} [row] - Collects the key and value parts of the entries when the value is a flat object
+   * (for `align`) or an array of numbers (for `grid`)
+   * @returns {string | undefined} The stringified value
+   */
+  #stringify(obj, leftMargin, rightMarginSize, path, ancestors, row) {
+    // 1. Detect circular references (.toJSON() and the replacer have already been applied by #resolve())
+    const ancestorPath = obj && typeof obj === "object" ? ancestors.get(obj) : undefined;
+    if (ancestorPath) {
+      const target = HumanJSON.#formatPath(ancestorPath);
+      if (this.#circular === "placeholder") {
+        return this.#quote(`[Circular ${target}]`);
+      }
+      throw new TypeError(
+        `Converting circular structure to JSON: ${HumanJSON.#formatPath(path)} is a reference to ${target}`,
+      );
+    }
+    const original = obj;
+
+    // 2. Upgrade Map, Set and ArrayBuffer (or tag the extended types so they can be revived)
+    const tagged = this.#typeTags ? HumanJSON.#toTagged(obj) : undefined;
+    obj = this.#upgrade(tagged ?? obj);
+
+    // 3. Primitives (and undefined, functions and symbols which JSON.stringify drops)
+    if (obj === null || typeof obj !== "object") {
+      return this.#primitive(obj, path);
+    }
+
+    // 4. Quick exit if we aren't sorting keys and the whole value fits on the rest of the line
+    const oneLine = this.#oneLine(original, leftMargin, rightMarginSize, ancestors);
+    if (oneLine !== undefined) {
+      return oneLine;
+    }
+
+    // 5. Objects & Arrays (collapsed past maxDepth, unless they are empty anyway)
+    if (path.length >= this.#limits.depth) {
+      if (Array.isArray(obj)) return obj.length > 0 ? "[…]" : "[]";
+      return this.#keysOf(obj, Boolean(tagged)).length > 0 ? "{…}" : "{}";
+    }
     const nextIndent = leftMargin + this.#indent;
+    // the entries the one line form or streaming have already resolved (type tags are new objects, so they have none)
+    const ahead = tagged ? undefined : this.#takeResolved(original);
+    ancestors.set(original, path);
     let items = [];
     let delimiters;
     let values;
+    // the comments from parseJSONC() (which JSON can't have), by key or array index
+    /** @type {import('./jsonc.js').Comments | undefined} */
+    let comments = this.#output === "json" ? undefined : original[COMMENTS];
+    if (comments && comments.entries.size === 0 && comments.end.length === 0) {
+      comments = undefined;
+    }
+    /** @type {(string | number)[]} */
+    let names;
 
     if (Array.isArray(obj)) {
-      values = obj;
-      for (const v of values) {
+      values = [];
+      /** @type {[string, string][][]} */
+      const rows = [];
+      const length = Math.min(obj.length, this.#limits.array);
+      names = Array.from({ length }, (_, i) => i);
+      for (let i = 0; i < length; i++) {
+        const v = ahead?.has(String(i)) ? ahead.get(String(i)) : this.#resolve(obj, String(i));
+        values.push(v);
+        /** @type {[string, string][]} */
+        const row = [];
+        rows.push(row);
         items.push(
-          this.#stringify(v, nextIndent, 2) ?? "null", // Convert undefined to null
+          this.#stringify(v, nextIndent, 2, [...path, i], ancestors, this.#align || this.#grid ? row : undefined) ??
+            "null", // Convert undefined to null
         );
       }
-      if (["array", "all"].includes(this.#fill) && this.#containsOnlySimpleValues(values)) {
-        items = this.#fillWrap(items, nextIndent);
+      if (length < obj.length) {
+        const more = obj.length - length;
+        values.push("");
+        items.push(this.#quote(`… ${more} more item${more === 1 ? "" : "s"}`));
+      }
+      if (row && this.#grid && values.every((v) => typeof v === "number")) {
+        for (const item of items) {
+          row.push(["", item]);
+        }
+      }
+
+      if (!comments) {
+        const aligned = this.#align || this.#grid ? this.#alignRows(items, rows, leftMargin, nextIndent) : undefined;
+        if (aligned) {
+          items = aligned;
+        } else if (["array", "all"].includes(this.#fill) && this.#canFill(values, items)) {
+          items = this.#fillWrap(items, nextIndent);
+        }
       }
 
       delimiters = ["[", "]"];
     } else {
       const objRecord = obj;
-      values = Object.values(objRecord);
 
-      let keys = Object.keys(objRecord);
-      if (this.#sortKeys) {
-        keys = keys.sort((a, b) => this.#keySorter.compare(a, b));
-      }
-
-      for (const key of keys) {
-        const keyPart = JSON.stringify(key) + ": ";
-        const value = this.#stringify(objRecord[key], nextIndent, keyPart.length + 1);
+      // visit the keys in the same order as JSON.stringify (so the replacer sees the same sequence) and sort after
+      /** @type {[string, string, string, any][]} */
+      let entries = [];
+      for (const key of this.#keysOf(objRecord, Boolean(tagged))) {
+        const name = String(key); // symbol keys are written as "Symbol(description)"
+        const keyPart = this.#keyPart(tagged ? name : this.#keyName(name));
+        const v = ahead?.has(key) ? ahead.get(key) : this.#resolve(objRecord, key);
+        const value = this.#stringify(v, nextIndent, this.#width(keyPart) + 1, [...path, name], ancestors);
         if (value !== undefined) {
           // undefined values in an object are excluded
-          items.push(keyPart + value);
+          entries.push([name, keyPart, value, v]);
+        }
+      }
+      // type tags keep their fields in order, with "$type" first
+      const keySorter = tagged ? null : this.#keySorterAt(path);
+      if (keySorter) {
+        entries.sort(([a], [b]) => keySorter.compare(a, b));
+      }
+      if (entries.length > this.#limits.object) {
+        const more = entries.length - this.#limits.object;
+        // the summary key mustn't repeat a key of the object, so it gets longer until it doesn't
+        const keys = new Set(entries.map(([name]) => name));
+        let summary = "…";
+        while (keys.has(summary)) summary += "…";
+        entries = entries.slice(0, this.#limits.object);
+        entries.push([summary, this.#keyPart(summary), this.#quote(`${more} more key${more === 1 ? "" : "s"}`), ""]);
+      }
+      values = entries.map(([, , , v]) => v);
+      names = entries.map(([name]) => name);
+      items = entries.map(([, keyPart, value]) => keyPart + value);
+      if (row && this.#align && this.#containsOnlySimpleValues(values)) {
+        for (const [, keyPart, value] of entries) {
+          row.push([keyPart, value]);
         }
       }
 
-      if (["object", "all"].includes(this.#fill) && this.#containsOnlySimpleValues(values)) {
+      if (!comments && ["object", "all"].includes(this.#fill) && this.#canFill(values, items)) {
         items = this.#fillWrap(items, nextIndent);
       }
 
       delimiters = ["{", "}"];
     }
+    ancestors.delete(original);
 
     // one line or wrap all the items?
-    if (items.length === 0) {
+    if (comments) {
+      return this.#withComments(items, names, comments, delimiters, leftMargin, nextIndent);
+    } else if (items.length === 0) {
       return delimiters.join("");
-    } else if (items.join(", ").length + leftMargin.length + 2 < this.#maxLength) {
+    } else if (this.#fitsOnOneLine(items, leftMargin)) {
       return [this.#pad(delimiters[0], this.#spacing), items.join(", "), this.#pad(delimiters[1], this.#spacing)].join(
         "",
       );
     } else {
-      return [delimiters[0], this.#indent + items.join(",\n" + nextIndent), delimiters[1]].join("\n" + leftMargin);
+      // JSON5 allows a trailing comma, which keeps diffs to the last item to one line
+      const trailingComma = this.#output === "json5" ? "," : "";
+      // concatenated rather than joined, so that the text of nested values isn't copied again at every level
+      let text = delimiters[0];
+      for (let i = 0; i < items.length; i++) {
+        text += "\n" + nextIndent + items[i] + (i < items.length - 1 ? "," : trailingComma);
+      }
+      return text + "\n" + leftMargin + delimiters[1];
     }
   }
 }
@@ -287,20 +1428,40 @@ export class HumanJSON {
  *    ...
  *  }
  *
- *  All other keys are sorted alphabetically, but 'name' and 'version' are always at the top.
+ *  All other keys are sorted by the `keySort` order (alphabetically by default), but 'name' and 'version' are always
+ *  at the top.
  */
 class PriorityKeySorter {
-  /** @type {Map<string, string>} */
-  #sortedKeys = new Map();
+  /** @type {Map<string, number>} */
+  #priorities = new Map();
+  /** @type {(a: string, b: string) => number} */
+  #compareRest;
 
   /**
    * Creates a new PriorityKeySorter
    * @param {string[]} [firstKeys=['name', 'value', 'version', 'date', 'errors']] - Keys to prioritize when sorting
+   * @param {KeySort} [keySort='alpha'] - How to sort the keys that aren't prioritized
+   * @param {string} [locale='en'] - The locale used by the 'alpha' and 'natural' sorts
    */
-  constructor(firstKeys = ["name", "value", "version", "date", "errors"]) {
-    // Prefix priority keys with 001, 002, 003, etc so that when sorting they bubble to the top
+  constructor(firstKeys = ["name", "value", "version", "date", "errors"], keySort = "alpha", locale = "en") {
+    // keys are matched case-insensitively
     for (const [index, key] of firstKeys.entries()) {
-      this.#sortedKeys.set(key, `   ${index}`.slice(-3) + key);
+      if (!this.#priorities.has(key.toLowerCase())) {
+        this.#priorities.set(key.toLowerCase(), index);
+      }
+    }
+
+    if (typeof keySort === "function") {
+      this.#compareRest = keySort;
+    } else if (keySort === "insertion") {
+      // Array.prototype.sort() is stable, so equal keys keep their insertion order
+      this.#compareRest = () => 0;
+    } else if (keySort !== "alpha" && keySort !== "natural") {
+      throw new RangeError(
+        `Unknown keySort "${keySort}". Use one of: alpha, natural, insertion, or a compare function`,
+      );
+    } else {
+      this.#compareRest = new Intl.Collator(locale, { numeric: keySort === "natural" }).compare;
     }
   }
 
@@ -311,8 +1472,121 @@ class PriorityKeySorter {
    * @returns {number} Comparison result for sorting
    */
   compare(a, b) {
-    const aKey = this.#sortedKeys.get(a.toLowerCase()) ?? a;
-    const bKey = this.#sortedKeys.get(b.toLowerCase()) ?? b;
-    return aKey.localeCompare(bKey);
+    const aPriority = this.#priorities.get(a.toLowerCase()) ?? Infinity;
+    const bPriority = this.#priorities.get(b.toLowerCase()) ?? Infinity;
+    if (aPriority !== bPriority) {
+      return aPriority < bPriority ? -1 : 1;
+    }
+    return this.#compareRest(a, b);
+  }
+}
+
+/**
+ * PathSelector matches the path of a value against a JSONPath-like selector such as `$.dependencies`,
+ * `$..features[*]` or `$.paths.*.get`. Supports child (`.key`, `['key']`, `[0]`), wildcard (`.*`, `[*]`) and
+ * descendant (`..key`) steps.
+ */
+class PathSelector {
+  /** @type {RegExp} */
+  static #STEP = /(\.\.|\.)?(?:(\*)|([^.[\]\s]+)|\[\s*(?:(\*)|(\d+)|'([^']*)'|"([^"]*)")\s*\])/y;
+
+  /** @type {{ deep: boolean, key: string | number | null }[]} */
+  #steps = [];
+
+  /**
+   * Creates a new PathSelector
+   * @param {string} selector - The selector, starting at the root `$`
+   */
+  constructor(selector) {
+    if (!selector.startsWith("$")) {
+      throw new SyntaxError(`Invalid path selector "${selector}": must start with "$"`);
+    }
+    const step = new RegExp(PathSelector.#STEP);
+    step.lastIndex = 1;
+    while (step.lastIndex < selector.length) {
+      const position = step.lastIndex;
+      const match = step.exec(selector);
+      const [, dots, star, name, bracketStar, index, singleQuoted, doubleQuoted] = match ?? [];
+      if (!match || (!dots && (star || name))) {
+        throw new SyntaxError(`Invalid path selector "${selector}" at position ${position}`);
+      }
+
+      /** @type {string | number | null} */
+      let key = name ?? singleQuoted ?? doubleQuoted ?? null;
+      if (index !== undefined) key = Number(index);
+      if (star || bracketStar) key = null;
+      this.#steps.push({ deep: dots === "..", key });
+    }
+  }
+
+  /**
+   * Checks if a path is matched by the selector
+   * @param {(string | number)[]} path - The keys and array indexes from the root to the value
+   * @returns {boolean} True if the selector matches the path
+   */
+  matches(path) {
+    return this.#matchesFrom(path, 0, 0);
+  }
+
+  /**
+   * Matches the remaining selector steps against the remaining path, backtracking for descendant steps
+   * @param {(string | number)[]} path - The keys and array indexes from the root to the value
+   * @param {number} step - The index of the next selector step
+   * @param {number} depth - The index of the next path segment
+   * @returns {boolean} True if the rest of the selector matches the rest of the path
+   */
+  #matchesFrom(path, step, depth) {
+    if (step === this.#steps.length) {
+      return depth === path.length;
+    }
+    const { deep, key } = this.#steps[step];
+    for (let i = depth; i < path.length; i++) {
+      if ((key === null || key === path[i]) && this.#matchesFrom(path, step + 1, i + 1)) {
+        return true;
+      }
+      if (!deep) {
+        break;
+      }
+    }
+    return false;
+  }
+}
+
+/**
+ * Expands a number literal in exponent notation (eg: `1.5e-7` or `1e+21`) to plain decimal digits
+ * @param {string} number - The number as written by String()
+ * @returns {string} The same number without an exponent
+ */
+function toPlainDecimal(number) {
+  const match = /^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/.exec(number);
+  if (!match) {
+    return number;
+  }
+  const [, sign, integer, fraction = "", exponent] = match;
+  const digits = integer + fraction;
+  const point = 1 + Number(exponent); // position of the decimal point in the digits
+  if (point <= 0) {
+    return `${sign}0.${"0".repeat(-point)}${digits}`;
+  }
+  if (point < digits.length) {
+    return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+  }
+  return sign + digits.padEnd(point, "0");
+}
+
+/**
+ * Shortens a string to `maxLength` characters and marks how much was cut. Characters are counted in code points, so
+ * that a surrogate pair is never split and counts as one
+ * @param {string} string - The string to shorten
+ * @param {number} maxLength - The number of characters to keep
+ * @returns {string} The start of the string followed by `…(+N chars)`, or the string if it isn't longer
+ */
+function truncate(string, maxLength) {
+  let end = 0; // the code unit where the kept characters end
+  let count = 0;
+  for (const char of string) {
+    if (count < maxLength) end += char.length;
+    count++;
   }
+  return count > maxLength ? `${string.slice(0, end)}…(+${count - maxLength} chars)` : string;
 }
@@ -0,0 +1,294 @@
+/**
+ * The comments of a parsed JSONC object or array are kept under this (non-enumerable) symbol, so that HumanJSON can
+ * write them back next to the keys and items they belong to
+ */
+export const COMMENTS = Symbol("comments");
+
+/**
+ * @typedef {Object} EntryComments
+ * @property {string[]} before - Comments on the lines above the key or item
+ * @property {string[]} after - Comments after the value, on the same line
+ */
+
+/**
+ * @typedef {Object} Comments
+ * @property {Map<string | number, EntryComments>} entries - The comments of each key (or array index)
+ * @property {string[]} end - Comments after the last key or item, before the closing bracket
+ * @property {string[]} [before] - Comments at the top of the document (only on the root value)
+ * @property {string[]} [after] - Comments at the bottom of the document (only on the root value)
+ */
+
+/**
+ * Parses JSON with comments (JSONC), like tsconfig.json or VS Code settings: `//` and `/* *\/` comments and trailing
+ * commas are allowed. The comments are attached to the objects and arrays under the `COMMENTS` symbol
+ * @param {string} text - The JSONC text
+ * @returns {any} The parsed value
+ * @throws {SyntaxError} With the `line` and `column` (1-based) of the error
+ */
+export function parseJSONC(text) {
+  return new JSONCParser(text).parse();
+}
+
+/**
+ * Attaches comments to a parsed object or array, under a non-enumerable symbol so that they are invisible to
+ * JSON.stringify and Object.keys
+ * @param {object} container - The object or array
+ * @param {Map<string | number, EntryComments>} entries - The comments of each key (or array index)
+ * @param {string[]} end - Comments before the closing bracket
+ * @returns {Comments} The attached comments
+ */
+function attachComments(container, entries, end) {
+  /** @type {Comments} */
+  const comments = { entries, end };
+  Object.defineProperty(container, COMMENTS, { value: comments, configurable: true });
+  return comments;
+}
+
+/**
+ * A comment found between two tokens
+ * @typedef {Object} Comment
+ * @property {string} text - The comment, including the `//` or `/*` markers
+ * @property {boolean} sameLine - Whether it starts on the same line as the token (or comment) before it
+ */
+
+/**
+ * A recursive descent parser for JSONC that keeps track of the comments
+ */
+class JSONCParser {
+  static #WHITESPACE = /[ \t\n\r\uFEFF]*/y;
+  static #COMMENT = /\/\/[^\n\r]*|\/\*[\s\S]*?\*\//y;
+  static #STRING = /"(?:[^"\\\n\r]|\\.)*"/y;
+  static #NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+  static #LITERAL = /true|false|null/y;
+
+  /** @type {string} */
+  #text;
+  /** @type {number} */
+  #pos = 0;
+
+  /**
+   * @param {string} text - The JSONC text
+   */
+  constructor(text) {
+    this.#text = text;
+  }
+
+  /**
+   * Parses the whole text as one value
+   * @returns {any} The parsed value
+   */
+  parse() {
+    const before = this.#skip().map(({ text }) => text);
+    const value = this.#value();
+    const after = this.#skip().map(({ text }) => text);
+    if (this.#pos < this.#text.length) {
+      throw this.#error(`Unexpected ${this.#describe()} after the JSON value`);
+    }
+    if ((before.length > 0 || after.length > 0) && value && typeof value === "object") {
+      const comments = value[COMMENTS] ?? attachComments(value, new Map(), []);
+      comments.before = before;
+      comments.after = after;
+    }
+    return value;
+  }
+
+  /**
+   * Parses any value
+   * @returns {any} The parsed value
+   */
+  #value() {
+    const char = this.#text[this.#pos];
+    if (char === "{") return this.#object();
+    if (char === "[") return this.#array();
+    if (char === '"') return this.#string();
+
+    const number = this.#match(JSONCParser.#NUMBER);
+    if (number !== undefined) return Number(number);
+
+    const literal = this.#match(JSONCParser.#LITERAL);
+    if (literal !== undefined) return JSON.parse(literal);
+
+    throw this.#error(`Unexpected ${this.#describe()}`);
+  }
+
+  /**
+   * Parses an object, attaching the comments around each key
+   * @returns {Record<string, any>} The parsed object
+   */
+  #object() {
+    /** @type {Record<string, any>} */
+    const object = {};
+    this.#pos++; // {
+    return this.#entries(object, "}", () => {
+      if (this.#text[this.#pos] !== '"') {
+        throw this.#error(`Expected a string key but found ${this.#describe()}`);
+      }
+      const key = this.#string();
+      /** @type {Comment[]} */
+      const comments = this.#skip();
+      if (this.#text[this.#pos] !== ":") {
+        throw this.#error(`Expected ":" after the key but found ${this.#describe()}`);
+      }
+      this.#pos++;
+      comments.push(...this.#skip());
+      // assigned as an own property (like JSON.parse) so that "__proto__" doesn't change the prototype
+      Object.defineProperty(object, key, {
+        value: this.#value(),
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+      return { key, comments };
+    });
+  }
+
+  /**
+   * Parses an array, attaching the comments around each item
+   * @returns {any[]} The parsed array
+   */
+  #array() {
+    /** @type {any[]} */
+    const array = [];
+    this.#pos++; // [
+    return this.#entries(array, "]", () => {
+      array.push(this.#value());
+      return { key: array.length - 1, comments: [] };
+    });
+  }
+
+  /**
+   * Parses the comma separated entries of an object or array (allowing a trailing comma) and sorts the comments
+   * between them: a comment on the same line as the end of an entry belongs to it, the others belong to the next entry
+   * @template {object} T
+   * @param {T} container - The object or array being parsed
+   * @param {string} close - The closing bracket
+   * @param {() => { key: string | number, comments: Comment[] }} entry - Parses one entry
+   * @returns {T} The container
+   */
+  #entries(container, close, entry) {
+    /** @type {Map<string | number, EntryComments>} */
+    const entries = new Map();
+    /** @type {EntryComments | undefined} */
+    let previous;
+    let pending = this.#skip();
+
+    while (this.#text[this.#pos] !== close) {
+      if (this.#pos >= this.#text.length) {
+        throw this.#error(`Expected "${close}" but found the end of the input`);
+      }
+      const before = this.#trailing(previous, pending);
+      const { key, comments } = entry();
+      before.push(...comments.map(({ text }) => text));
+      previous = { before, after: [] };
+      entries.set(key, previous);
+
+      pending = this.#skip();
+      if (this.#text[this.#pos] === ",") {
+        this.#pos++;
+        pending.push(...this.#skip());
+      } else if (this.#text[this.#pos] !== close) {
+        throw this.#error(`Expected "," or "${close}" but found ${this.#describe()}`);
+      }
+    }
+    const end = this.#trailing(previous, pending);
+    this.#pos++; // closing bracket
+
+    for (const [key, { before, after }] of entries) {
+      if (before.length === 0 && after.length === 0) entries.delete(key);
+    }
+    if (entries.size > 0 || end.length > 0) {
+      attachComments(container, entries, end);
+    }
+    return container;
+  }
+
+  /**
+   * Moves the comments that are on the same line as the end of the previous entry to it
+   * @param {EntryComments | undefined} previous - The comments of the previous entry
+   * @param {Comment[]} comments - The comments found since the previous entry
+   * @returns {string[]} The remaining comments, which belong to whatever follows
+   */
+  #trailing(previous, comments) {
+    let i = 0;
+    if (previous) {
+      for (; i < comments.length && comments[i].sameLine; i++) {
+        previous.after.push(comments[i].text);
+      }
+    }
+    return comments.slice(i).map(({ text }) => text);
+  }
+
+  /**
+   * Parses a string
+   * @returns {string} The string value
+   */
+  #string() {
+    const start = this.#pos;
+    const string = this.#match(JSONCParser.#STRING);
+    try {
+      return JSON.parse(string ?? "");
+    } catch {
+      // control characters and bad escapes are left for JSON.parse() to find
+      this.#pos = start;
+      throw this.#error(string === undefined ? "Unterminated string" : "Invalid escape or control character in string");
+    }
+  }
+
+  /**
+   * Skips whitespace and collects the comments
+   * @returns {Comment[]} The comments
+   */
+  #skip() {
+    /** @type {Comment[]} */
+    const comments = [];
+    for (;;) {
+      const whitespace = this.#match(JSONCParser.#WHITESPACE) ?? "";
+      if (this.#text.startsWith("/*", this.#pos) && !this.#text.includes("*/", this.#pos + 2)) {
+        throw this.#error("Unterminated comment");
+      }
+      const text = this.#match(JSONCParser.#COMMENT);
+      if (text === undefined) {
+        return comments;
+      }
+      comments.push({ text, sameLine: !/[\n\r]/.test(whitespace) });
+    }
+  }
+
+  /**
+   * Matches a sticky regex at the current position and moves past it
+   * @param {RegExp} regex - The sticky regex
+   * @returns {string | undefined} The matched text, or undefined if it doesn't match
+   */
+  #match(regex) {
+    regex.lastIndex = this.#pos;
+    const match = regex.exec(this.#text);
+    if (!match) {
+      return undefined;
+    }
+    this.#pos = regex.lastIndex;
+    return match[0];
+  }
+
+  /**
+   * Describes the character at the current position for error messages
+   * @returns {string} eg: `token "}"` or `end of input`
+   */
+  #describe() {
+    if (this.#pos >= this.#text.length) {
+      return "end of input";
+    }
+    return `token ${JSON.stringify(String.fromCodePoint(/** @type {number} */ (this.#text.codePointAt(this.#pos))))}`;
+  }
+
+  /**
+   * Creates a SyntaxError for the current position
+   * @param {string} message - What went wrong
+   * @returns {SyntaxError & { line: number, column: number }} The error, with the 1-based line and column
+   */
+  #error(message) {
+    const lines = this.#text.slice(0, this.#pos).split(/\r\n|\r|\n/);
+    const line = lines.length;
+    const column = lines[lines.length - 1].length + 1;
+    return Object.assign(new SyntaxError(`${message} at line ${line}, column ${column}`), { line, column });
+  }
+}
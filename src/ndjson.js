@@ -0,0 +1,119 @@
+import { parseDiagnostic } from "./diagnostics.js";
+import { HumanJSON } from "./index.js";
+import { parseJSONC } from "./jsonc.js";
+
+/**
+ * A line of NDJSON (newline-delimited JSON, or JSON Lines) and what it was formatted to
+ * @typedef {Object} NDJSONLine
+ * @property {number} line - The 1-based line number
+ * @property {string} input - The line as it was read, with its line ending
+ * @property {string} output - The formatted record, the line itself if it isn't valid JSON, or nothing for blank lines
+ * @property {import('./diagnostics.js').Diagnostic} [error] - What is wrong with the line, if it isn't valid JSON
+ */
+
+/**
+ * @typedef {Object} NDJSONOptions
+ * @property {number | string} [indentSpaces=2] - The indent of pretty records
+ * @property {number} [maxLineLength=120] - Maximum line length before wrapping
+ * @property {import('./index.js').HumanJSONOptions} [options] - The formatting options of the records
+ * @property {'pretty' | 'compact'} [output='pretty'] - Whether the records are formatted like any JSON value and
+ * separated by blank lines, or written one per line with sorted keys (which is NDJSON again)
+ * @property {'preserve' | 'strip'} [bom='preserve'] - Whether to write back the UTF-8 byte order mark of the input
+ */
+
+/**
+ * Splits text into lines, as it is read, keeping the line endings. Only the line being read is kept in memory
+ * @param {AsyncIterable<string>} chunks - The text, in chunks of any size
+ * @returns {AsyncGenerator<string>} The lines, each with its `\n` or `\r\n` (except a last line without one)
+ */
+export async function* readLines(chunks) {
+  let buffer = "";
+  for await (const chunk of chunks) {
+    buffer += chunk;
+    let start = 0;
+    for (let end = buffer.indexOf("\n"); end !== -1; end = buffer.indexOf("\n", start)) {
+      yield buffer.slice(start, end + 1);
+      start = end + 1;
+    }
+    buffer = buffer.slice(start);
+  }
+  if (buffer !== "") {
+    yield buffer;
+  }
+}
+
+/**
+ * Describes why a line isn't a valid NDJSON record, with the position of the error on the line
+ * @param {string} text - The line, without its line ending
+ * @param {number} line - The 1-based line number
+ * @returns {import('./diagnostics.js').Diagnostic} The diagnostic
+ */
+function diagnose(text, line) {
+  try {
+    parseJSONC(text);
+  } catch (error) {
+    return parseDiagnostic(text, /** @type {Error} */ (error), line);
+  }
+  return { message: "Comments and trailing commas aren't allowed in NDJSON records", line, column: 1 };
+}
+
+/**
+ * Formats NDJSON one line at a time, as it is read, so that files of any size can be formatted. Each line is a
+ * record. Lines that aren't valid JSON are written back as they are, with a diagnostic, and blank lines are dropped
+ * @param {AsyncIterable<string>} chunks - The NDJSON text, in chunks of any size
+ * @param {NDJSONOptions} [ndjsonOptions] - How to format the records
+ * @returns {AsyncGenerator<NDJSONLine>} The lines and their formatted records
+ */
+export async function* formatNDJSON(
+  chunks,
+  { indentSpaces = 2, maxLineLength = 120, options = {}, output = "pretty", bom = "preserve" } = {},
+) {
+  /** @type {HumanJSON | undefined} */
+  let formatter;
+  let eol = options.eol === "crlf" ? "\r\n" : "\n";
+  let records = 0;
+  let line = 0;
+
+  for await (const input of readLines(chunks)) {
+    line++;
+    let text = input.replace(/\r?\n$/, "");
+    let prefix = "";
+    if (line === 1) {
+      if (text.startsWith("\uFEFF")) {
+        text = text.slice(1);
+        prefix = bom === "preserve" ? "\uFEFF" : "";
+      }
+      if (options.eol === "auto") {
+        // keep the line endings of the input (the first one decides, like most editors)
+        eol = input.endsWith("\r\n") ? "\r\n" : "\n";
+      }
+      const lineEndings = eol === "\r\n" ? "crlf" : "lf";
+      // compact records always have sorted keys, so that a record diffs as one changed line
+      formatter = new HumanJSON(output === "compact" ? "" : indentSpaces, maxLineLength, {
+        ...options,
+        ...(output === "compact" && { sortKeys: true }),
+        eol: lineEndings,
+        appendNewLine: false,
+      });
+    }
+    if (text.trim() === "") {
+      yield { line, input, output: prefix };
+      continue;
+    }
+    if (output === "pretty" && records > 0) {
+      prefix += eol;
+    }
+    records++;
+
+    /** @type {any} */
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch {
+      yield { line, input, output: `${prefix}${text}${eol}`, error: diagnose(text, line) };
+      continue;
+    }
+    const record = /** @type {HumanJSON} */ (formatter).stringify(value);
+    yield { line, input, output: `${prefix}${record}${eol}` };
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Built-in presets for well-known JSON formats. Each preset bundles the conventional key order of the format as
+ * HumanJSON options. Explicit options (and `keyOrder` selectors) take precedence over the preset.
+ * @type {Record<string, import('./index.js').HumanJSONOptions>}
+ */
+export const PRESETS = {
+  "npm-package": {
+    keyOrder: {
+      $: [
+        "$schema",
+        "name",
+        "version",
+        "private",
+        "description",
+        "keywords",
+        "homepage",
+        "bugs",
+        "repository",
+        "funding",
+        "license",
+        "author",
+        "contributors",
+        "type",
+        "exports",
+        "main",
+        "module",
+        "browser",
+        "types",
+        "bin",
+        "files",
+        "workspaces",
+        "scripts",
+        "dependencies",
+        "devDependencies",
+        "peerDependencies",
+        "peerDependenciesMeta",
+        "optionalDependencies",
+        "bundleDependencies",
+        "overrides",
+        "engines",
+        "os",
+        "cpu",
+        "packageManager",
+        "publishConfig",
+      ],
+      "$.author": ["name", "email", "url"],
+      "$.contributors[*]": ["name", "email", "url"],
+      "$.bugs": ["url", "email"],
+      "$.repository": ["type", "url", "directory"],
+      "$.exports": ["types", "import", "require", "default"],
+      "$.exports.*": ["types", "import", "require", "default"],
+      "$.scripts": false,
+      "$.dependencies": [],
+      "$.devDependencies": [],
+      "$.peerDependencies": [],
+      "$.optionalDependencies": [],
+    },
+  },
+  "npm-package-lock": {
+    keyOrder: {
+      $: ["name", "version", "lockfileVersion", "requires", "packages", "dependencies"],
+      "$.packages": [""],
+      "$.packages.*": [
+        "name",
+        "version",
+        "resolved",
+        "integrity",
+        "link",
+        "dev",
+        "optional",
+        "devOptional",
+        "peer",
+        "inBundle",
+        "license",
+      ],
+      "$.packages.*.*": [],
+    },
+  },
+  geojson: {
+    firstKeys: ["type", "id", "bbox", "properties", "geometry", "coordinates", "geometries", "features"],
+    keyOrder: {
+      "$..properties": ["name", "id", "title"],
+    },
+  },
+  openapi: {
+    keyOrder: {
+      $: [
+        "openapi",
+        "swagger",
+        "info",
+        "jsonSchemaDialect",
+        "externalDocs",
+        "servers",
+        "host",
+        "basePath",
+        "schemes",
+        "tags",
+        "security",
+        "paths",
+        "webhooks",
+        "components",
+        "definitions",
+      ],
+      "$.info": ["title", "summary", "description", "termsOfService", "contact", "license", "version"],
+      "$.paths": "natural",
+      "$.paths.*": ["$ref", "summary", "description", "parameters", "get", "put", "post", "delete", "options", "patch"],
+      "$.paths.*.*": [
+        "tags",
+        "summary",
+        "description",
+        "externalDocs",
+        "operationId",
+        "parameters",
+        "requestBody",
+        "responses",
+        "callbacks",
+        "deprecated",
+        "security",
+        "servers",
+      ],
+      "$..responses": { firstKeys: [], keySort: "natural" },
+      "$..parameters[*]": ["name", "in", "description", "required", "deprecated", "schema"],
+      "$..properties": false,
+      "$.components.schemas.*": ["title", "description", "type", "required", "properties"],
+    },
+  },
+  jsonapi: {
+    firstKeys: ["type", "id", "attributes", "relationships", "links", "meta"],
+    keyOrder: {
+      $: ["jsonapi", "meta", "links", "data", "included", "errors"],
+      "$..links": ["self", "related", "first", "prev", "next", "last"],
+      "$.errors[*]": ["id", "status", "code", "title", "detail", "source"],
+    },
+  },
+  hal: {
+    firstKeys: ["_links", "name", "id", "value", "version", "date", "errors"],
+    keyOrder: {
+      "$.._links": ["self"],
+      "$.._links.*": ["href", "templated", "type", "name", "title"],
+    },
+  },
+  jsonld: {
+    firstKeys: ["@context", "@id", "@type", "@graph", "@value", "@language", "name"],
+  },
+  kubernetes: {
+    firstKeys: ["apiVersion", "kind", "metadata", "name", "namespace", "image", "spec", "data", "status"],
+    keyOrder: {
+      "$..metadata": ["name", "namespace", "labels", "annotations"],
+    },
+  },
+  cloudformation: {
+    keyOrder: {
+      $: [
+        "AWSTemplateFormatVersion",
+        "Transform",
+        "Description",
+        "Metadata",
+        "Parameters",
+        "Mappings",
+        "Conditions",
+        "Rules",
+        "Resources",
+        "Outputs",
+      ],
+      "$.Parameters.*": ["Type", "Description", "Default", "AllowedValues"],
+      "$.Resources.*": ["Type", "Condition", "DependsOn", "Properties", "Metadata"],
+      "$.Outputs.*": ["Description", "Value", "Export", "Condition"],
+      "$..Tags[*]": ["Key", "Value"],
+    },
+  },
+  "json-feed": {
+    keyOrder: {
+      $: [
+        "version",
+        "title",
+        "home_page_url",
+        "feed_url",
+        "description",
+        "icon",
+        "favicon",
+        "authors",
+        "language",
+        "items",
+      ],
+      "$.items[*]": [
+        "id",
+        "url",
+        "external_url",
+        "title",
+        "summary",
+        "content_html",
+        "content_text",
+        "image",
+        "date_published",
+        "date_modified",
+        "authors",
+        "tags",
+      ],
+    },
+  },
+};
+
+/** @type {Set<string>} */
+const GEOJSON_TYPES = new Set([
+  "FeatureCollection",
+  "Feature",
+  "Point",
+  "MultiPoint",
+  "LineString",
+  "MultiLineString",
+  "Polygon",
+  "MultiPolygon",
+  "GeometryCollection",
+]);
+
+/**
+ * Guesses which preset fits a parsed JSON document from its root: `$schema`, `openapi`, `@context`,
+ * `type: "FeatureCollection"` and the like
+ * @param {any} value - The parsed JSON document
+ * @returns {string | undefined} The name of the preset, or undefined if the format isn't recognized
+ */
+export function detectPreset(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return undefined;
+  }
+
+  const schema = typeof value.$schema === "string" ? value.$schema.toLowerCase() : "";
+  if (schema.includes("package.json")) return "npm-package";
+  if (schema.includes("geojson")) return "geojson";
+  if (schema.includes("openapi") || schema.includes("swagger")) return "openapi";
+  if (schema.includes("cloudformation")) return "cloudformation";
+
+  if (typeof value.openapi === "string" || typeof value.swagger === "string") return "openapi";
+  if ("@context" in value) return "jsonld";
+  if (GEOJSON_TYPES.has(value.type)) return "geojson";
+  if (typeof value.version === "string" && value.version.startsWith("https://jsonfeed.org/version/")) {
+    return "json-feed";
+  }
+  if ("AWSTemplateFormatVersion" in value) return "cloudformation";
+  if (typeof value.apiVersion === "string" && typeof value.kind === "string") return "kubernetes";
+  if ("lockfileVersion" in value) return "npm-package-lock";
+  if ("jsonapi" in value || ("data" in value && ("included" in value || isResource(value.data)))) return "jsonapi";
+  if ("_links" in value) return "hal";
+  if (
+    typeof value.name === "string" &&
+    ["version", "dependencies", "devDependencies", "scripts"].some((key) => key in value)
+  ) {
+    return "npm-package";
+  }
+  return undefined;
+}
+
+/**
+ * Checks if a value looks like a JSON:API resource object (or a list of them)
+ * @param {any} data - The primary data of the document
+ * @returns {boolean} True if every resource has a string `type` and `id`
+ */
+function isResource(data) {
+  const resources = Array.isArray(data) ? data : [data];
+  return (
+    resources.length > 0 &&
+    resources.every((r) => r && typeof r === "object" && typeof r.type === "string" && typeof r.id === "string")
+  );
+}
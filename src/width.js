@@ -0,0 +1,115 @@
+/**
+ * Printable ASCII, tabs and newlines, where every character is a grapheme and takes up one column (tabs are counted
+ * by the callers, and a CR is left out since CRLF is one grapheme)
+ */
+const ASCII = /^[\t\n\x20-\x7e]*$/;
+
+/** Combining marks (including variation selectors) and format characters like zero width joiners, except soft hyphens */
+const ZERO_WIDTH = /^(?!\u00ad)[\p{Mn}\p{Me}\p{Cf}]$/u;
+
+/** East Asian Wide and Fullwidth characters (CJK, Hangul, fullwidth forms, ...) and emoji drawn as emoji */
+const WIDE = new RegExp(
+  "^(?:[" +
+    "\\u1100-\\u115f\\u2329\\u232a\\u2e80-\\u303e\\u3041-\\u33ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\ua000-\\ua4cf" +
+    "\\ua960-\\ua97f\\uac00-\\ud7a3\\uf900-\\ufaff\\ufe10-\\ufe19\\ufe30-\\ufe6f\\uff00-\\uff60\\uffe0-\\uffe6" +
+    "\\u{16fe0}-\\u{16fe4}\\u{17000}-\\u{18cff}\\u{1b000}-\\u{1b2ff}\\u{1f200}-\\u{1f2ff}" +
+    "\\u{20000}-\\u{2fffd}\\u{30000}-\\u{3fffd}" +
+    "]|\\p{Emoji_Presentation})$",
+  "u",
+);
+
+/** The emoji variation selector, which turns a text symbol like the U+2764 heart into an emoji */
+const EMOJI_STYLE = "\ufe0f";
+
+const segmenter = new Intl.Segmenter("en", { granularity: "grapheme" });
+
+/**
+ * @typedef {'codeunits' | 'graphemes' | 'display'} Measure
+ */
+
+/**
+ * Measures how many columns a grapheme cluster takes up. The first character decides, so that the emoji joined into
+ * a ZWJ sequence, the regional indicators of a flag, a skin tone modifier or combining marks don't add up
+ * @param {string} cluster - One grapheme cluster
+ * @returns {number} 0, 1 or 2
+ */
+function clusterWidth(cluster) {
+  const first = String.fromCodePoint(/** @type {number} */ (cluster.codePointAt(0)));
+  if (ZERO_WIDTH.test(first)) {
+    return 0;
+  }
+  return WIDE.test(first) || cluster.includes(EMOJI_STYLE) ? 2 : 1;
+}
+
+/**
+ * Measures text that is all ASCII, where the length is the width. Only the start of a longer text than the limit is
+ * checked, since it is already past the limit if that is ASCII
+ * @param {string} string - The text to measure
+ * @param {number} [limit=Infinity] - The length past which the text doesn't need to be measured
+ * @returns {number | undefined} The length (or more than the limit), or undefined if the text isn't ASCII
+ */
+export function asciiLength(string, limit = Infinity) {
+  const end = Math.max(0, limit + 1);
+  if (string.length > end && ASCII.test(string.slice(0, end))) {
+    return end;
+  }
+  return ASCII.test(string) ? string.length : undefined;
+}
+
+/**
+ * Counts the grapheme clusters (user-perceived characters) of a string: a family emoji, a flag or an accented letter
+ * are one each, whatever the number of code points they are made of
+ * @param {string} string - The text to measure
+ * @param {number} [limit=Infinity] - Stop counting once there are more clusters than this
+ * @returns {number} The number of grapheme clusters (more than the limit, but not all of them, if it is passed)
+ */
+export function graphemeCount(string, limit = Infinity) {
+  const length = asciiLength(string, limit);
+  if (length !== undefined) {
+    return length;
+  }
+  const segments = segmenter.segment(string)[Symbol.iterator]();
+  let count = 0;
+  while (count <= limit && !segments.next().done) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Measures how many columns a line of text takes up in a terminal or an editor with a monospaced font, one grapheme
+ * cluster at a time: East Asian wide and fullwidth characters and emoji take up two columns, zero width characters
+ * none, and everything else one
+ * @param {string} string - The text to measure (a single line)
+ * @param {number} [limit=Infinity] - Stop measuring once the text is wider than this
+ * @returns {number} The width in columns (more than the limit, but not the whole width, if it is passed)
+ */
+export function displayWidth(string, limit = Infinity) {
+  const length = asciiLength(string, limit);
+  if (length !== undefined) {
+    return length;
+  }
+  let width = 0;
+  for (const { segment } of segmenter.segment(string)) {
+    width += clusterWidth(segment);
+    if (width > limit) {
+      break;
+    }
+  }
+  return width;
+}
+
+/**
+ * Measures a line of text in the given unit. Long values only need to be measured as far as the rest of the line, so
+ * the measuring can stop at a limit
+ * @param {string} string - The text to measure (a single line)
+ * @param {Measure} measure - UTF-16 code units (like `string.length`), grapheme clusters, or display columns
+ * @param {number} [limit=Infinity] - Stop measuring once the text is longer than this
+ * @returns {number} The length of the text (more than the limit, but not the whole length, if it is passed)
+ */
+export function measureText(string, measure, limit = Infinity) {
+  if (measure === "codeunits") {
+    return string.length;
+  }
+  return measure === "graphemes" ? graphemeCount(string, limit) : displayWidth(string, limit);
+}
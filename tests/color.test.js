@@ -0,0 +1,53 @@
+import { describe, expect, it } from "bun:test";
+import { DEFAULT_THEME, Highlighter, highlight } from "../src/color.js";
+
+/** A theme that shows the kind of each token, to test with */
+const MARKERS = { key: "1", string: "2", number: "3", boolean: "4", null: "5", punctuation: "6", comment: "7" };
+
+/**
+ * Replaces the escape codes of the MARKERS theme with readable tags, eg: `<1>"a"</>`
+ * @param {string} text - The coloured text
+ * @returns {string} The text with tags
+ */
+function tags(text) {
+  return text
+    .split("\x1b[")
+    .map((part, i) => (i === 0 ? part : part.replace(/^(\d*)m/, (_, sgr) => (sgr === "0" ? "</>" : `<${sgr}>`))))
+    .join("");
+}
+
+describe.concurrent("highlight", () => {
+  it("colours keys, strings, numbers, booleans, null and punctuation", () => {
+    expect(tags(highlight('{ "a": ["b", -1.5e+3, true, false, null] }\n', MARKERS))).toBe(
+      '<6>{</> <1>"a"</><6>:</> <6>[</><2>"b"</><6>,</> <3>-1.5e+3</><6>,</> <4>true</><6>,</> <4>false</><6>,</> ' +
+        "<5>null</><6>]</> <6>}</>\n",
+    );
+  });
+
+  it("colours JSON5 keys, single-quoted strings and comments", () => {
+    expect(tags(highlight("{\n  // note\n  nullable: 'say \"hi\"', /* a\n  b */\n  'k:': {…},\n}\n", MARKERS))).toBe(
+      "<6>{</>\n  <7>// note</>\n  <1>nullable</><6>:</> <2>'say \"hi\"'</><6>,</> <7>/* a</>\n<7>  b */</>\n" +
+        "  <1>'k:'</><6>:</> <6>{…},</>\n<6>}</>\n",
+    );
+  });
+
+  it("uses the default theme for the colours the theme doesn't set", () => {
+    expect(highlight("[null]", { null: "" })).toBe(
+      `\x1b[${DEFAULT_THEME.punctuation}m[\x1b[0mnull\x1b[${DEFAULT_THEME.punctuation}m]\x1b[0m`,
+    );
+  });
+});
+
+describe.concurrent("Highlighter", () => {
+  it("colours text split anywhere like the whole text", () => {
+    const text = '{\r\n  "key": "a \\" b", // c\r\n  n: [12.5, true, null], /* d */\r\n}\r\n';
+    const whole = highlight(text, MARKERS);
+    for (let i = 0; i <= text.length; i++) {
+      for (let j = i; j <= text.length; j += 7) {
+        const highlighter = new Highlighter(MARKERS);
+        const parts = [text.slice(0, i), text.slice(i, j), text.slice(j)].map((part) => highlighter.push(part));
+        expect(parts.join("") + highlighter.flush()).toBe(whole);
+      }
+    }
+  });
+});
@@ -0,0 +1,133 @@
+import { afterAll, beforeAll, describe, expect, it } from "bun:test";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { DEFAULT_SETTINGS, findConfig, mergeSettings, parseFlags, readConfig, resolveSettings } from "../src/config.js";
+
+describe.concurrent("parseFlags", () => {
+  it("parses a flag for every setting, and leaves the other arguments", () => {
+    const { settings, rest } = parseFlags([
+      "a.json",
+      "--no-sort",
+      "--indent",
+      "tab",
+      "--max-length",
+      "100",
+      "--keys",
+      "id, name",
+      "--fill",
+      "all",
+      "--no-final-newline",
+      "--precision",
+      "3",
+      "--key-order",
+      '{"$.a": ["b"]}',
+      "--write",
+    ]);
+    expect(settings).toEqual({
+      sortKeys: false,
+      indentSpaces: "\t",
+      maxLineLength: 100,
+      firstKeys: ["id", "name"],
+      fill: "all",
+      appendNewLine: false,
+      numbers: { precision: 3 },
+      keyOrder: { "$.a": ["b"] },
+    });
+    expect(rest).toEqual(["a.json", "--write"]);
+  });
+
+  it("rejects missing and invalid values", () => {
+    expect(() => parseFlags(["--max-length"])).toThrow("--max-length requires a value");
+    expect(() => parseFlags(["--max-length", "0"])).toThrow("--max-length must be a positive number");
+    expect(() => parseFlags(["--spacing", "some"])).toThrow("--spacing must be one of: none, array, object, all");
+    expect(() => parseFlags(["--preset", "nope"])).toThrow("--preset must be one of: auto, npm-package");
+    expect(() => parseFlags(["--key-order", "[1"])).toThrow("--key-order must be a JSON object");
+    expect(() => parseFlags(["--theme", '{"key": "\\u001b[31m"}'])).toThrow("--theme must be an object with SGR codes");
+    expect(() => parseFlags(["--theme", '{"keys": "35"}'])).toThrow("--theme must be an object with SGR codes");
+    expect(parseFlags(["--color", "always", "--theme", '{"key": "1;35"}']).settings).toEqual({
+      color: "always",
+      theme: { key: "1;35" },
+    });
+    expect(parseFlags(["--no-fill"]).rest).toEqual(["--no-fill"]);
+  });
+});
+
+describe.concurrent("mergeSettings", () => {
+  it("lets later settings win, merging numbers and keyOrder", () => {
+    expect(
+      mergeSettings(
+        { maxLineLength: 80, numbers: { precision: 3 }, keyOrder: { $: ["a"] } },
+        { maxLineLength: 100, numbers: { decimals: 2 }, keyOrder: { "$.b": ["c"] } },
+      ),
+    ).toEqual({ maxLineLength: 100, numbers: { precision: 3, decimals: 2 }, keyOrder: { $: ["a"], "$.b": ["c"] } });
+  });
+});
+
+describe("config files", () => {
+  /** @type {string} */
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), "human-json-"));
+    mkdirSync(join(dir, "data/maps"), { recursive: true });
+    mkdirSync(join(dir, "other"), { recursive: true });
+    writeFileSync(
+      join(dir, "package.json"),
+      JSON.stringify({
+        name: "project",
+        humanjson: {
+          maxLineLength: 100,
+          sortKeys: false,
+          overrides: [
+            { files: "*.geojson", settings: { maxLineLength: 200 } },
+            { files: ["data/maps/*.json"], settings: { indentSpaces: 4 } },
+          ],
+        },
+      }),
+    );
+    writeFileSync(join(dir, "other/.humanjsonrc"), '{\n  // tabs here\n  "indentSpaces": "tab"\n}\n');
+    writeFileSync(join(dir, "other/package.json"), '{ "name": "other" }');
+    mkdirSync(join(dir, "bad"));
+    writeFileSync(join(dir, "bad/humanjson.config.json"), '{ "maxLineLenght": 80 }');
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("finds the closest config, skipping package.json files without a humanjson key", () => {
+    expect(findConfig(join(dir, "data/maps"))?.path).toBe(join(dir, "package.json"));
+    expect(findConfig(join(dir, "other"))?.settings).toEqual({ indentSpaces: "tab" });
+  });
+
+  it("applies the overrides that match the file, then the flags", () => {
+    expect(resolveSettings(join(dir, "data/a.json"), {})).toEqual({ maxLineLength: 100, sortKeys: false });
+    expect(resolveSettings(join(dir, "data/maps/b.geojson"), {})).toEqual({ maxLineLength: 200, sortKeys: false });
+    expect(resolveSettings(join(dir, "data/maps/c.json"), { sortKeys: true })).toEqual({
+      maxLineLength: 100,
+      sortKeys: true,
+      indentSpaces: 4,
+    });
+    // globs with a slash are matched from the directory of the config file
+    expect(resolveSettings(join(dir, "data/data/maps/c.json"), {})).toEqual({ maxLineLength: 100, sortKeys: false });
+  });
+
+  it("has defaults that can be used as a config file", () => {
+    mkdirSync(join(dir, "defaults"));
+    writeFileSync(join(dir, "defaults/humanjson.config.json"), JSON.stringify(DEFAULT_SETTINGS));
+    expect(readConfig(join(dir, "defaults/humanjson.config.json"))?.settings).toEqual(DEFAULT_SETTINGS);
+    expect(mergeSettings(DEFAULT_SETTINGS, resolveSettings(join(dir, "data/a.json"), {}))).toMatchObject({
+      indentSpaces: 2,
+      maxLineLength: 100,
+      sortKeys: false,
+      fill: "array",
+    });
+  });
+
+  it("rejects unknown and invalid settings", () => {
+    expect(() => readConfig(join(dir, "bad/humanjson.config.json"))).toThrow('Unknown setting "maxLineLenght"');
+    writeFileSync(join(dir, "bad/.humanjsonrc"), '{ "overrides": [{ "files": "*.json", "settings": { "fill": 1 } }] }');
+    expect(() => readConfig(join(dir, "bad/.humanjsonrc"))).toThrow('"fill" in overrides[0] of');
+  });
+});
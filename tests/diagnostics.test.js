@@ -0,0 +1,79 @@
+import { describe, expect, it } from "bun:test";
+import { codeFrame, formatDiagnostic, parseDiagnostic } from "../src/diagnostics.js";
+import { parseJSONC } from "../src/jsonc.js";
+
+/**
+ * Parses invalid JSONC and describes the error
+ * @param {string} text - The invalid text
+ * @returns {import('../src/diagnostics.js').Diagnostic} The diagnostic of the parse error
+ */
+function diagnose(text) {
+  try {
+    parseJSONC(text);
+  } catch (error) {
+    return parseDiagnostic(text, /** @type {Error} */ (error));
+  }
+  throw new Error("the text is valid");
+}
+
+describe.concurrent("codeFrame", () => {
+  it("shows the lines around the error with a caret under the column", () => {
+    expect(codeFrame('{\n  "a": 1,\n  "b" 2\n}\n', 3, 7)).toBe(
+      ["  1 | {", '  2 |   "a": 1,', '> 3 |   "b" 2', "    |       ^", "  4 | }"].join("\n"),
+    );
+  });
+
+  it("lines up the caret after tabs and wide characters", () => {
+    expect(codeFrame('\t["日本", x]', 1, 9)).toBe('> 1 | \t["日本", x]\n    | \t         ^');
+  });
+
+  it("cuts long lines to a window around the column", () => {
+    const line = `[${'"item", '.repeat(50)}x, 1]`;
+    const frame = codeFrame(line, 1, line.length - 4).split("\n");
+    expect(frame[0]).toStartWith("> 1 | …");
+    expect(frame[0]).toEndWith("x, 1]");
+    expect(frame[0].length).toBeLessThan(100);
+    expect(frame[1].indexOf("^")).toBe(frame[0].indexOf("x, 1]"));
+  });
+});
+
+describe.concurrent("parseDiagnostic", () => {
+  it("gives the message, position and frame of a parse error", () => {
+    expect(diagnose('{\r\n  "a": 1,\r\n  "b" 2\r\n}')).toEqual({
+      message: 'Expected ":" after the key but found token "2"',
+      line: 3,
+      column: 7,
+      frame: '  1 | {\n  2 |   "a": 1,\n> 3 |   "b" 2\n    |       ^\n  4 | }',
+    });
+  });
+
+  it("hints at the fix of common mistakes", () => {
+    const hints = [
+      ["{'a': 1}", "Use double quotes"],
+      ['{\n  name: "x"\n}', 'Quote the key: write "name" instead of name'],
+      ['{"a": yes}', 'Quote the string: write "yes" instead of yes'],
+      ["[1,,2]", "Remove the extra comma"],
+      ["{\n  # comment\n}", "Use // or /* */ for comments"],
+      ["[1] /* end", "Close the comment with */"],
+      ['{"a": NaN}', "Use null (or a string) instead of NaN"],
+      ['{"a": 1\n"b": 2}', "Add a comma between the two values"],
+      ['["a\\qb"]', "Escape backslashes"],
+      ['["a]', "Close the string"],
+      ["��{\0}\0", "Save the file as UTF-8"],
+    ];
+    for (const [text, hint] of hints) {
+      expect(diagnose(text).hint).toStartWith(hint);
+    }
+    expect(diagnose("[1, 2").hint).toBeUndefined();
+  });
+});
+
+describe.concurrent("formatDiagnostic", () => {
+  it("writes the file, position, frame and hint", () => {
+    expect(formatDiagnostic("a.json", diagnose("[1,,2]"))).toBe(
+      'a.json:1:4: Unexpected token ","\n> 1 | [1,,2]\n    |    ^\n' +
+        "hint: Remove the extra comma: there is no value before it (a single trailing comma is allowed)",
+    );
+    expect(formatDiagnostic("<stdin>", { message: "Empty input" })).toBe("<stdin>: Empty input");
+  });
+});
@@ -49,3 +49,25 @@ describe.concurrent("Fixture tests - comparing with expected output", () => {
     });
   }
 });
+
+describe.concurrent("Fixture tests - streaming", () => {
+  const fixturesDir = join(import.meta.dir, "../examples");
+
+  for (const filename of getFixtureFiles()) {
+    test(`streams ${filename} to the expected output`, async () => {
+      const inputData = JSON.parse(readFileSync(join(fixturesDir, `${filename}.json`), "utf-8"));
+      const expectedContent = readFileSync(join(fixturesDir, `${filename.replace(/__.*$/, "")}~human.json`), "utf-8");
+      const firstKeys = filename
+        .match(/keys=([^;]+)/)?.[1]
+        ?.split(",")
+        ?.map((k) => k.trim());
+      const lineLength = parseInt(filename.match(/line_length=(\d+)/)?.[1] || 120, 10);
+
+      let result = "";
+      for await (const chunk of HumanJSON.stream(inputData, 2, lineLength, firstKeys ? { firstKeys } : {})) {
+        result += chunk;
+      }
+      expect(result).toBe(expectedContent);
+    });
+  }
+});
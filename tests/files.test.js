@@ -0,0 +1,121 @@
+import { afterAll, beforeAll, describe, expect, it } from "bun:test";
+import { mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  findFiles,
+  globToRegExp,
+  parseIgnore,
+  readIgnoreFile,
+  writeFileAtomic,
+  writeFileAtomicStream,
+} from "../src/files.js";
+
+describe.concurrent("globToRegExp", () => {
+  it("matches within a path segment with * and ?", () => {
+    const regex = globToRegExp("src/*.json");
+    expect(regex.test("src/a.json")).toBe(true);
+    expect(regex.test("src/a/b.json")).toBe(false);
+    expect(regex.test("src/a.jsonc")).toBe(false);
+    expect(globToRegExp("v?.json").test("v1.json")).toBe(true);
+  });
+
+  it("matches any number of directories with **", () => {
+    const regex = globToRegExp("src/**/*.json");
+    expect(regex.test("src/a.json")).toBe(true);
+    expect(regex.test("src/a/b/c.json")).toBe(true);
+    expect(regex.test("lib/a.json")).toBe(false);
+    expect(globToRegExp("src/**").test("src/a/b.json")).toBe(true);
+  });
+
+  it("matches character sets and alternatives", () => {
+    expect(globToRegExp("*.{json,jsonc}").test("a.jsonc")).toBe(true);
+    expect(globToRegExp("*.{json,jsonc}").test("a.json5")).toBe(false);
+    expect(globToRegExp("[ab].json").test("b.json")).toBe(true);
+    expect(globToRegExp("[!ab].json").test("b.json")).toBe(false);
+    expect(globToRegExp("a+b(1).json").test("a+b(1).json")).toBe(true);
+  });
+});
+
+describe.concurrent("parseIgnore", () => {
+  it("ignores names at any depth, and paths with a slash from the root", () => {
+    const isIgnored = parseIgnore("# generated\n*.lock.json\n/build\ndocs/api/\n");
+    expect(isIgnored("a/b/package.lock.json", false)).toBe(true);
+    expect(isIgnored("build", true)).toBe(true);
+    expect(isIgnored("src/build", true)).toBe(false);
+    expect(isIgnored("docs/api", true)).toBe(true);
+    expect(isIgnored("docs/api", false)).toBe(false);
+    expect(isIgnored("src/a.json", false)).toBe(false);
+  });
+
+  it("includes again what ! negates", () => {
+    const isIgnored = parseIgnore("fixtures/*.json\n!fixtures/keep.json");
+    expect(isIgnored("fixtures/a.json", false)).toBe(true);
+    expect(isIgnored("fixtures/keep.json", false)).toBe(false);
+  });
+});
+
+describe("files", () => {
+  /** @type {string} */
+  let dir;
+  /** @type {string} */
+  let cwd;
+
+  beforeAll(() => {
+    cwd = process.cwd();
+    dir = mkdtempSync(join(tmpdir(), "human-json-"));
+    for (const file of [
+      "a.json",
+      "b.jsonc",
+      "c.txt",
+      "src/d.json",
+      "src/e/f.json",
+      "node_modules/g.json",
+      "out/h.json",
+    ]) {
+      mkdirSync(join(dir, file, ".."), { recursive: true });
+      writeFileSync(join(dir, file), "{}\n");
+    }
+    writeFileSync(join(dir, ".humanjsonignore"), "out/\n");
+    process.chdir(dir);
+  });
+
+  afterAll(() => {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("walks directories for JSON files, leaving out the ignored ones", () => {
+    const { files, unmatched } = findFiles(["."], readIgnoreFile(".humanjsonignore"));
+    expect(files).toEqual(["a.json", "b.jsonc", "src/d.json", "src/e/f.json"]);
+    expect(unmatched).toEqual([]);
+  });
+
+  it("expands globs and keeps explicit files, without duplicates", () => {
+    const { files, unmatched } = findFiles(["src/**/*.json", "c.txt", "src/d.json", "*.md"]);
+    expect(files).toEqual(["src/d.json", "src/e/f.json", "c.txt"]);
+    expect(unmatched).toEqual(["*.md"]);
+  });
+
+  it("writes files atomically, keeping their permissions", () => {
+    writeFileSync("mode.json", "{}", { mode: 0o640 });
+    writeFileAtomic("mode.json", '{ "a": 1 }\n');
+    expect(readFileSync("mode.json", "utf-8")).toBe('{ "a": 1 }\n');
+    expect(statSync("mode.json").mode & 0o777).toBe(0o640);
+    expect(readdirSync(".").filter((file) => file.endsWith(".tmp"))).toEqual([]);
+  });
+
+  it("writes files atomically from a stream of chunks", async () => {
+    writeFileSync("stream.ndjson", "{}\n", { mode: 0o640 });
+    await writeFileAtomicStream(
+      "stream.ndjson",
+      (async function* () {
+        yield '{ "a": 1 }\n';
+        yield '{ "b": 2 }\n';
+      })(),
+    );
+    expect(readFileSync("stream.ndjson", "utf-8")).toBe('{ "a": 1 }\n{ "b": 2 }\n');
+    expect(statSync("stream.ndjson").mode & 0o777).toBe(0o640);
+    expect(readdirSync(".").filter((file) => file.endsWith(".tmp"))).toEqual([]);
+  });
+});
@@ -1,4 +1,5 @@
 import { describe, expect, it, test } from "bun:test";
+import { stripVTControlCharacters } from "util";
 import { HumanJSON } from "../src/index.js";
 
 describe.concurrent("HumanJSON.stringify", () => {
@@ -175,6 +176,50 @@ describe.concurrent("HumanJSON.stringify", () => {
       const result = HumanJSON.stringify(obj, 0, 10);
       expect(result).toBe('{ "a": 1, "b": 2, "c": 3, "d": 4, "e": 5 }\n');
     });
+
+    it("indents with tabs", () => {
+      const obj = { a: { b: { c: 1 } } };
+      const result = HumanJSON.stringify(obj, "\t", 10);
+      expect(result).toBe(`{
+\t"a": {
+\t\t"b": {
+\t\t\t"c": 1
+\t\t}
+\t}
+}
+`);
+    });
+
+    it("clamps custom indent strings to 10 characters", () => {
+      const obj = { a: { b: 1 } };
+      const result = HumanJSON.stringify(obj, "-".repeat(12), 10);
+      expect(result).toBe(`{
+----------"a": {
+--------------------"b": 1
+----------}
+}
+`);
+    });
+
+    it("counts tabs as tabWidth columns when wrapping", () => {
+      const obj = { a: { b: [1, 2, 3, 4, 5, 6, 7, 8] } };
+      expect(HumanJSON.stringify(obj, "\t", 30, { tabWidth: 1 })).toBe(`{
+\t"a": {
+\t\t"b": [1, 2, 3, 4, 5, 6, 7, 8]
+\t}
+}
+`);
+      expect(HumanJSON.stringify(obj, "\t", 30, { tabWidth: 8 })).toBe(`{
+\t"a": {
+\t\t"b": [
+\t\t\t1, 2, 3,
+\t\t\t4, 5, 6,
+\t\t\t7, 8
+\t\t]
+\t}
+}
+`);
+    });
   });
 
   describe.concurrent("line length", () => {
@@ -186,6 +231,41 @@ describe.concurrent("HumanJSON.stringify", () => {
         expect(line.length).toBeLessThanOrEqual(10); // Some buffer for wrapping
       }
     });
+
+    it("measures CJK characters and emoji by their display width", () => {
+      const words = ["日本語のテキスト", "中文文本内容", "한국어 텍스트", "emoji 😀😀😀"];
+      expect(HumanJSON.stringify({ words }, 2, 40)).toBe(
+        '{\n  "words": [\n    "日本語のテキスト", "中文文本内容",\n    "한국어 텍스트", "emoji 😀😀😀"\n  ]\n}\n',
+      );
+    });
+
+    it("lines up columns by display width", () => {
+      const cities = [
+        { name: "東京", n: 1 },
+        { name: "Paris", n: 22 },
+      ];
+      expect(HumanJSON.stringify(cities, 2, 32, { align: true })).toBe(
+        '[\n  { "name": "東京",  "n":  1 },\n  { "name": "Paris", "n": 22 }\n]\n',
+      );
+    });
+
+    it("measures in the unit of the measure option", () => {
+      const family = { family: "👨‍👩‍👧".repeat(3) };
+      const oneLine = `{ "family": "${family.family}" }\n`;
+      const wrapped = `{\n  "family": "${family.family}"\n}\n`;
+      // 19 graphemes, 22 columns (each family is one wide emoji) and 40 code units
+      expect(HumanJSON.stringify(family, 2, 20, { measure: "graphemes" })).toBe(oneLine);
+      expect(HumanJSON.stringify(family, 2, 20, { measure: "display" })).toBe(wrapped);
+      expect(HumanJSON.stringify(family, 2, 22)).toBe(oneLine);
+      expect(HumanJSON.stringify(family, 2, 22, { measure: "codeunits" })).toBe(wrapped);
+    });
+
+    it("fits long runs of zero width characters on one line", () => {
+      const marks = { a: "\u200b".repeat(2000), b: "e" + "\u0301".repeat(1000) };
+      const oneLine = `{ "a": "${marks.a}", "b": "${marks.b}" }\n`;
+      expect(HumanJSON.stringify(marks, 2, 40)).toBe(oneLine);
+      expect(HumanJSON.stringify(marks, 2, 40, { sortKeys: false })).toBe(oneLine);
+    });
   });
 
   describe("options", () => {
@@ -201,6 +281,12 @@ describe.concurrent("HumanJSON.stringify", () => {
         const result = HumanJSON.stringify(obj, 2, 80, { sortKeys: false });
         expect(result).toBe('{ "z": 1, "a": 2 }\n');
       });
+
+      it("writes empty objects and arrays without padding when disabled", () => {
+        const obj = { list: [[], {}], map: {} };
+        const result = HumanJSON.stringify(obj, 2, 80, { sortKeys: false, spacing: "all" });
+        expect(result).toBe('{ "list": [ [], {} ], "map": {} }\n');
+      });
     });
 
     describe("firstKeys", () => {
@@ -221,6 +307,150 @@ describe.concurrent("HumanJSON.stringify", () => {
       });
     });
 
+    describe("keySort", () => {
+      const obj = { item10: 1, item2: 2, Item1: 3, name: "n", b: 4 };
+
+      it("sorts alphabetically by default", () => {
+        expect(HumanJSON.stringify(obj)).toBe('{ "name": "n", "b": 4, "Item1": 3, "item10": 1, "item2": 2 }\n');
+      });
+
+      it("sorts numbers in keys naturally", () => {
+        expect(HumanJSON.stringify(obj, 2, 80, { keySort: "natural" })).toBe(
+          '{ "name": "n", "b": 4, "Item1": 3, "item2": 2, "item10": 1 }\n',
+        );
+        expect(HumanJSON.stringify({ 404: "a", default: "b", 200: "c", 50: "d" }, 2, 80, { keySort: "natural" })).toBe(
+          '{ "50": "d", "200": "c", "404": "a", "default": "b" }\n',
+        );
+      });
+
+      it("keeps insertion order after the priority keys", () => {
+        expect(HumanJSON.stringify(obj, 2, 80, { keySort: "insertion" })).toBe(
+          '{ "name": "n", "item10": 1, "item2": 2, "Item1": 3, "b": 4 }\n',
+        );
+      });
+
+      it("uses a custom comparator after the priority keys", () => {
+        /** @type {(a: string, b: string) => number} */
+        const byLength = (a, b) => a.length - b.length;
+        expect(HumanJSON.stringify(obj, 2, 80, { keySort: byLength })).toBe(
+          '{ "name": "n", "b": 4, "item2": 2, "Item1": 3, "item10": 1 }\n',
+        );
+      });
+
+      it("rejects unknown sorts", () => {
+        // @ts-expect-error
+        expect(() => new HumanJSON(2, 80, { keySort: "alphabetical" })).toThrow(
+          new RangeError(
+            'Unknown keySort "alphabetical". Use one of: alpha, natural, insertion, or a compare function',
+          ),
+        );
+        // @ts-expect-error
+        expect(() => new HumanJSON(2, 80, { keyOrder: { "$.a": "size" } })).toThrow(RangeError);
+      });
+
+      it("compares with the configured locale", () => {
+        const accents = { z: 1, ä: 2, a: 3 };
+        expect(HumanJSON.stringify(accents)).toBe('{ "a": 3, "ä": 2, "z": 1 }\n');
+        expect(HumanJSON.stringify(accents, 2, 80, { locale: "sv" })).toBe('{ "a": 3, "z": 1, "ä": 2 }\n');
+      });
+    });
+
+    describe("keyOrder", () => {
+      const pkg = {
+        version: "1.0.0",
+        name: "pkg",
+        repository: { url: "https://example.com", type: "git" },
+        scripts: { test: "bun test", build: "tsc" },
+        features: [{ geometry: null, id: 1, type: "Feature", properties: { name: "a", value: 1 } }],
+      };
+
+      it("applies a priority list to a path", () => {
+        const result = HumanJSON.stringify(pkg.repository, 2, 80, { keyOrder: { $: ["type", "url"] } });
+        expect(result).toBe('{ "type": "git", "url": "https://example.com" }\n');
+      });
+
+      it("applies rules only to the matching paths", () => {
+        const result = HumanJSON.stringify(pkg, 2, 120, {
+          keyOrder: {
+            "$.repository": ["type", "url"],
+            "$['scripts']": false,
+            "$..features[*]": { firstKeys: ["type", "id", "properties", "geometry"] },
+          },
+        });
+        expect(result).toBe(`{
+  "name": "pkg",
+  "version": "1.0.0",
+  "features": [{ "type": "Feature", "id": 1, "properties": { "name": "a", "value": 1 }, "geometry": null }],
+  "repository": { "type": "git", "url": "https://example.com" },
+  "scripts": { "test": "bun test", "build": "tsc" }
+}
+`);
+      });
+
+      it("uses the last matching selector", () => {
+        const obj = { a: { z: 1, b: 2 }, c: { z: 1, b: 2 } };
+        const result = HumanJSON.stringify(obj, 2, 80, {
+          keyOrder: { "$.*": "insertion", "$.c": ["z"], "$.a": "alpha" },
+        });
+        expect(result).toBe('{ "a": { "b": 2, "z": 1 }, "c": { "z": 1, "b": 2 } }\n');
+      });
+
+      it("can sort paths when sortKeys is disabled", () => {
+        const obj = { z: { z: 1, b: 2 }, a: [{ z: 1, b: 2 }] };
+        const result = HumanJSON.stringify(obj, 2, 80, { sortKeys: false, keyOrder: { "$.a[0]": "alpha" } });
+        expect(result).toBe('{ "z": { "z": 1, "b": 2 }, "a": [{ "b": 2, "z": 1 }] }\n');
+      });
+
+      it("rejects invalid selectors", () => {
+        expect(() => new HumanJSON(2, 80, { keyOrder: { "a.b": [] } })).toThrow(SyntaxError);
+        expect(() => new HumanJSON(2, 80, { keyOrder: { "$.a[b]": [] } })).toThrow(SyntaxError);
+      });
+    });
+
+    describe("preset", () => {
+      const pkg = {
+        scripts: { test: "bun test", build: "tsc" },
+        version: "1.0.0",
+        repository: { url: "https://example.com", type: "git" },
+        name: "pkg",
+        dependencies: { version: "1.0.0", alpha: "2.0.0" },
+      };
+
+      it("applies the conventional key order of the format", () => {
+        expect(HumanJSON.stringify(pkg, 2, 80, { preset: "npm-package" })).toBe(`{
+  "name": "pkg",
+  "version": "1.0.0",
+  "repository": { "type": "git", "url": "https://example.com" },
+  "scripts": { "test": "bun test", "build": "tsc" },
+  "dependencies": { "alpha": "2.0.0", "version": "1.0.0" }
+}
+`);
+      });
+
+      it("detects the preset in auto mode", () => {
+        expect(HumanJSON.stringify(pkg, 2, 80, { preset: "auto" })).toBe(
+          HumanJSON.stringify(pkg, 2, 80, { preset: "npm-package" }),
+        );
+        expect(HumanJSON.stringify({ b: 1, a: 2 }, 2, 80, { preset: "auto" })).toBe('{ "a": 2, "b": 1 }\n');
+      });
+
+      it("lets explicit options override the preset", () => {
+        const result = HumanJSON.stringify(pkg, 2, 80, { preset: "npm-package", keyOrder: { "$.scripts": "alpha" } });
+        expect(result).toContain('"scripts": { "build": "tsc", "test": "bun test" }');
+      });
+
+      it("matches priority keys case-insensitively", () => {
+        const template = { Resources: {}, Description: "d", AWSTemplateFormatVersion: "2010-09-09" };
+        expect(HumanJSON.stringify(template, 2, 120, { preset: "cloudformation" })).toBe(
+          '{ "AWSTemplateFormatVersion": "2010-09-09", "Description": "d", "Resources": {} }\n',
+        );
+      });
+
+      it("rejects unknown presets", () => {
+        expect(() => new HumanJSON(2, 80, { preset: "nope" })).toThrow(RangeError);
+      });
+    });
+
     describe("padArray", () => {
       it("adds padding for arrays", () => {
         const obj = { a: [1, 2, 3], b: { c: 1 } };
@@ -247,6 +477,288 @@ describe.concurrent("HumanJSON.stringify", () => {
       });
     });
 
+    describe("fill", () => {
+      const coordinates = [
+        [-87.621, 41.878],
+        [-90.195, 38.627],
+        [-94.578, 39.099],
+        [-97.337, 35.467],
+      ];
+
+      it("packs short arrays of simple values like coordinate pairs", () => {
+        const result = HumanJSON.stringify({ coordinates }, 2, 50);
+        expect(result).toBe(
+          [
+            "{",
+            '  "coordinates": [',
+            "    [-87.621, 41.878], [-90.195, 38.627],",
+            "    [-94.578, 39.099], [-97.337, 35.467]",
+            "  ]",
+            "}\n",
+          ].join("\n"),
+        );
+      });
+
+      it("keeps one array per line when fill is off", () => {
+        const result = HumanJSON.stringify({ coordinates }, 2, 50, { fill: "none" });
+        expect(result).toContain('  "coordinates": [\n    [-87.621, 41.878],\n    [-90.195, 38.627],\n');
+      });
+
+      it("does not pack arrays that wrap or hold objects", () => {
+        expect(HumanJSON.stringify([[1, 2, 3, 4, 5, 6, 7, 8], [9]], 2, 16)).toBe(
+          "[\n  [\n    1, 2, 3, 4, 5,\n    6, 7, 8\n  ],\n  [9]\n]\n",
+        );
+        expect(HumanJSON.stringify([[{}], [{}], [{}]], 2, 10)).toBe("[\n  [{}],\n  [{}],\n  [{}]\n]\n");
+      });
+    });
+
+    describe("grid", () => {
+      const matrix = [
+        [1, 200, 3.5],
+        [-10, 2, 30],
+        [100, 20000, 0.25],
+      ];
+
+      it("lines up the columns of numeric matrices", () => {
+        const result = HumanJSON.stringify({ matrix }, 2, 30, { grid: true });
+        expect(result).toBe(
+          [
+            "{",
+            '  "matrix": [',
+            "    [  1,   200,  3.5],",
+            "    [-10,     2,   30],",
+            "    [100, 20000, 0.25]",
+            "  ]",
+            "}\n",
+          ].join("\n"),
+        );
+      });
+
+      it("fill wraps the rows when disabled", () => {
+        const result = HumanJSON.stringify({ matrix }, 2, 30);
+        expect(result).toContain("    [1, 200, 3.5], [-10, 2, 30],\n");
+      });
+
+      it("skips ragged or non-numeric arrays", () => {
+        const options = { grid: true, fill: /** @type {const} */ ("none") };
+        expect(HumanJSON.stringify([[1, 2], [3]], 2, 10, options)).toBe("[\n  [1, 2],\n  [3]\n]\n");
+        const mixed = [
+          [1, "a"],
+          [3, "bc"],
+        ];
+        expect(HumanJSON.stringify(mixed, 2, 14, options)).toBe('[\n  [1, "a"],\n  [3, "bc"]\n]\n');
+      });
+
+      it("handles rows of very many numbers", () => {
+        const matrix = [Array(150000).fill(0), [1]];
+        expect(HumanJSON.stringify(matrix, 2, 120, { grid: true })).toBe(HumanJSON.stringify(matrix));
+      });
+    });
+
+    describe("align", () => {
+      const people = [
+        { name: "Alice", age: 30, active: true },
+        { name: "Bob", age: 5, active: false },
+        { name: "Christina", age: 102, active: null },
+      ];
+
+      it("lines up the keys and values of similar objects in columns", () => {
+        const result = HumanJSON.stringify({ people }, 2, 60, { align: true });
+        expect(result).toBe(
+          [
+            "{",
+            '  "people": [',
+            '    { "name": "Alice",     "active": true,  "age":  30 },',
+            '    { "name": "Bob",       "active": false, "age":   5 },',
+            '    { "name": "Christina", "active": null,  "age": 102 }',
+            "  ]",
+            "}\n",
+          ].join("\n"),
+        );
+      });
+
+      it("is off by default", () => {
+        const result = HumanJSON.stringify({ people }, 2, 60);
+        expect(result).toContain('    { "name": "Bob", "active": false, "age": 5 },');
+      });
+
+      it("keeps arrays that fit on one line", () => {
+        const result = HumanJSON.stringify([{ a: 1 }, { a: 22 }], 2, 80, { align: true });
+        expect(result).toBe('[{ "a": 1 }, { "a": 22 }]\n');
+      });
+
+      it("does not align objects with different keys or nested values", () => {
+        const options = { align: true, sortKeys: false };
+        const records = [
+          { a: 1, b: 2 },
+          { b: 333, a: 4 },
+        ];
+        expect(HumanJSON.stringify(records, 2, 26, options)).toBe(
+          '[\n  { "a": 1, "b": 2 },\n  { "b": 333, "a": 4 }\n]\n',
+        );
+        expect(HumanJSON.stringify([{ a: [1] }, { a: [222] }], 2, 20, options)).toBe(
+          '[\n  { "a": [1] },\n  { "a": [222] }\n]\n',
+        );
+      });
+
+      it("falls back when an aligned row is too long", () => {
+        const result = HumanJSON.stringify({ people }, 2, 50, { align: true });
+        expect(result).toContain('    { "name": "Bob", "active": false, "age": 5 },');
+      });
+
+      it("aligns very many rows and keys", () => {
+        const rows = Array.from({ length: 150000 }, (_, i) => ({ id: i, ok: i % 2 === 0 }));
+        const result = HumanJSON.stringify(rows, 2, 40, { align: true });
+        expect(result).toStartWith('[\n  { "id":      0, "ok": true  },\n');
+        expect(result).toEndWith('  { "id": 149999, "ok": false }\n]\n');
+        const wide = Object.fromEntries(Array.from({ length: 150000 }, (_, i) => [`k${i}`, i]));
+        expect(HumanJSON.stringify([wide, wide], 2, 120, { align: true })).toBe(HumanJSON.stringify([wide, wide]));
+      });
+    });
+
+    describe("numbers", () => {
+      it("writes numbers like JSON.stringify by default", () => {
+        const result = HumanJSON.stringify({ a: 0.1 + 0.2, b: 1.5e-7, c: 1e21, d: -0 }, 2, 80);
+        expect(result).toBe('{ "a": 0.30000000000000004, "b": 1.5e-7, "c": 1e+21, "d": 0 }\n');
+      });
+
+      it("rounds to significant digits or decimal places without trailing zeros", () => {
+        const obj = { a: 0.1 + 0.2, b: 123456.789, c: 2.5 };
+        expect(HumanJSON.stringify(obj, 2, 80, { numbers: { precision: 3 } })).toBe(
+          '{ "a": 0.3, "b": 123000, "c": 2.5 }\n',
+        );
+        expect(HumanJSON.stringify(obj, 2, 80, { numbers: { decimals: 2 } })).toBe(
+          '{ "a": 0.3, "b": 123456.79, "c": 2.5 }\n',
+        );
+      });
+
+      it("writes plain decimals when exponents are disabled", () => {
+        const result = HumanJSON.stringify([1.5e-7, -2e-10, 1e21, 1.25e22], 2, 80, { numbers: { exponent: "never" } });
+        expect(result).toBe("[0.00000015, -0.0000000002, 1000000000000000000000, 12500000000000000000000]\n");
+      });
+
+      it("normalizes -0 unless asked to keep it", () => {
+        expect(HumanJSON.stringify([-0, -0.001], 2, 80, { numbers: { decimals: 2 } })).toBe("[0, 0]\n");
+        expect(HumanJSON.stringify([-0, -0.001], 2, 80, { numbers: { decimals: 2, negativeZero: "keep" } })).toBe(
+          "[-0, -0]\n",
+        );
+      });
+
+      it("rounds before deciding the layout", () => {
+        const coordinates = [
+          [-73.981234567, 40.768123456],
+          [-73.958123456, 40.800612345],
+        ];
+        expect(HumanJSON.stringify({ coordinates }, 2, 60, { numbers: { decimals: 4 } })).toBe(
+          '{ "coordinates": [[-73.9812, 40.7681], [-73.9581, 40.8006]] }\n',
+        );
+      });
+
+      it("throws on an invalid precision", () => {
+        expect(() => HumanJSON.stringify(1, 2, 80, { numbers: { precision: 0 } })).toThrow(RangeError);
+        expect(() => HumanJSON.stringify(1, 2, 80, { numbers: { decimals: 1.5 } })).toThrow(RangeError);
+      });
+    });
+
+    describe("limits", () => {
+      it("truncates long strings with the number of characters cut", () => {
+        const result = HumanJSON.stringify({ token: "abcdefghij".repeat(5) }, 2, 80, { maxStringLength: 8 });
+        expect(result).toBe('{ "token": "abcdefgh…(+42 chars)" }\n');
+      });
+
+      it("counts characters in code points", () => {
+        expect(HumanJSON.stringify("ab😀cd", 2, 80, { maxStringLength: 3 })).toBe('"ab😀…(+2 chars)"\n');
+        expect(HumanJSON.stringify("😀😀😀", 2, 80, { maxStringLength: 3 })).toBe('"😀😀😀"\n');
+      });
+
+      it("rejects negative and fractional limits", () => {
+        expect(() => HumanJSON.stringify("a".repeat(20), 2, 80, { maxStringLength: -1 })).toThrow(
+          new RangeError("Invalid maxStringLength -1: must be a non-negative integer"),
+        );
+        expect(() => HumanJSON.stringify([], 2, 80, { maxArrayItems: 1.5 })).toThrow(RangeError);
+        expect(() => HumanJSON.stringify({}, 2, 80, { maxObjectKeys: NaN })).toThrow(RangeError);
+        expect(() => HumanJSON.stringify({}, 2, 80, { maxDepth: -Infinity })).toThrow(RangeError);
+        expect(HumanJSON.stringify({ a: 1 }, 2, 80, { maxDepth: 0, maxObjectKeys: Infinity })).toBe("{…}\n");
+      });
+
+      it("collapses the rest of long arrays into one item", () => {
+        const list = Array.from({ length: 60 }, (_, i) => i);
+        expect(HumanJSON.stringify(list, 2, 80, { maxArrayItems: 3 })).toBe('[0, 1, 2, "… 57 more items"]\n');
+        expect(HumanJSON.stringify([1, 2], 2, 80, { maxArrayItems: 1 })).toBe('[1, "… 1 more item"]\n');
+      });
+
+      it("collapses the rest of large objects after sorting the keys", () => {
+        const result = HumanJSON.stringify({ d: 4, c: 3, b: 2, a: 1 }, 2, 80, { maxObjectKeys: 2 });
+        expect(result).toBe('{ "a": 1, "b": 2, "…": "2 more keys" }\n');
+        const clash = HumanJSON.stringify({ "…": 1, b: 2, "……": 3, c: 4 }, 2, 80, { maxObjectKeys: 1 });
+        expect(clash).toBe('{ "…": 1, "………": "3 more keys" }\n');
+      });
+
+      it("collapses objects and arrays nested deeper than maxDepth", () => {
+        const obj = { a: { b: { c: 1 } }, list: [[1]], empty: {}, none: [] };
+        expect(HumanJSON.stringify(obj, 2, 80, { maxDepth: 1 })).toBe(
+          '{ "a": {…}, "empty": {}, "list": […], "none": [] }\n',
+        );
+        expect(HumanJSON.stringify(obj, 2, 80, { maxDepth: 2 })).toBe(
+          '{ "a": { "b": {…} }, "empty": {}, "list": [[…]], "none": [] }\n',
+        );
+      });
+
+      it("keeps a long string from wrapping its parent", () => {
+        const obj = { id: 1, svg: "M0 0 L10 10 ".repeat(20) };
+        expect(HumanJSON.stringify(obj, 2, 80, { maxStringLength: 12 })).toBe(
+          '{ "id": 1, "svg": "M0 0 L10 10 …(+228 chars)" }\n',
+        );
+      });
+    });
+
+    describe("output", () => {
+      const obj = { name: "Alice", "odd-key": 1, quote: 'say "hi"', hobbies: ["reading", "cycling"] };
+
+      it("writes strict JSON by default", () => {
+        expect(HumanJSON.stringify(obj, 2, 100)).toBe(
+          '{ "name": "Alice", "hobbies": ["reading", "cycling"], "odd-key": 1, "quote": "say \\"hi\\"" }\n',
+        );
+        expect(HumanJSON.stringify(obj, 2, 100, { output: "jsonc" })).toBe(HumanJSON.stringify(obj, 2, 100));
+      });
+
+      it("writes JSON5 with unquoted identifier keys and single quotes to avoid escapes", () => {
+        expect(HumanJSON.stringify(obj, 2, 100, { output: "json5" })).toBe(
+          '{ name: "Alice", hobbies: ["reading", "cycling"], "odd-key": 1, quote: \'say "hi"\' }\n',
+        );
+        expect(HumanJSON.stringify({ $id: 1, _x: 2, café: 3, "1a": 4, "": 5 }, 2, 80, { output: "json5" })).toBe(
+          '{ "": 5, _x: 2, $id: 1, "1a": 4, café: 3 }\n',
+        );
+      });
+
+      it("keeps double quotes unless single quotes need fewer escapes", () => {
+        const options = { output: /** @type {const} */ ("json5") };
+        expect(HumanJSON.stringify(["it's", 'it\'s "a" \\"b\\"'], 2, 80, options)).toBe(
+          '["it\'s", \'it\\\'s "a" \\\\"b\\\\"\']\n',
+        );
+      });
+
+      it("adds trailing commas when multi-line", () => {
+        const result = HumanJSON.stringify(obj, 2, 40, { output: "json5" });
+        expect(result).toBe(
+          [
+            "{",
+            '  name: "Alice",',
+            '  hobbies: ["reading", "cycling"],',
+            '  "odd-key": 1,',
+            "  quote: 'say \"hi\"',",
+            "}\n",
+          ].join("\n"),
+        );
+      });
+
+      it("measures the emitted form", () => {
+        const record = { alpha: 1, beta: 2, gamma: 3 };
+        expect(HumanJSON.stringify(record, 2, 34)).toBe('{\n  "alpha": 1,\n  "beta": 2,\n  "gamma": 3\n}\n');
+        expect(HumanJSON.stringify(record, 2, 34, { output: "json5" })).toBe("{ alpha: 1, beta: 2, gamma: 3 }\n");
+      });
+    });
+
     describe("appendNewLine", () => {
       it("appends newline when enabled", () => {
         const result = HumanJSON.stringify({ a: 1 }, 2, 80, {
@@ -262,6 +774,87 @@ describe.concurrent("HumanJSON.stringify", () => {
         expect(result.endsWith("\n")).toBe(false);
       });
     });
+
+    describe("escape", () => {
+      const obj = { café: "naïve 😀 <b>&</b>\u2028" };
+
+      it("only escapes what JSON requires by default", () => {
+        expect(HumanJSON.stringify(obj)).toBe(`{ "café": "naïve 😀 <b>&</b>\u2028" }\n`);
+      });
+
+      it("escapes everything above U+007F with ascii", () => {
+        const result = HumanJSON.stringify(obj, 2, 120, { escape: "ascii" });
+        expect(result).toBe('{ "caf\\u00e9": "na\\u00efve \\ud83d\\ude00 <b>&</b>\\u2028" }\n');
+        expect(JSON.parse(result)).toEqual(obj);
+      });
+
+      it("escapes the characters that could end a script tag with html-safe", () => {
+        const result = HumanJSON.stringify(obj, 2, 120, { escape: "html-safe" });
+        expect(result).toBe('{ "café": "naïve 😀 \\u003cb\\u003e\\u0026\\u003c/b\\u003e\\u2028" }\n');
+        expect(JSON.parse(result)).toEqual(obj);
+      });
+
+      it("quotes JSON5 keys that need escaping", () => {
+        expect(HumanJSON.stringify(obj, 2, 120, { escape: "ascii", output: "json5" })).toStartWith('{ "caf\\u00e9": ');
+        expect(HumanJSON.stringify(obj, 2, 120, { escape: "html-safe", output: "json5" })).toStartWith("{ café: ");
+      });
+
+      it("measures the escaped strings", () => {
+        const list = ["é".repeat(10), "é".repeat(10)];
+        expect(HumanJSON.stringify(list, 2, 30)).toBe(`["${"é".repeat(10)}", "${"é".repeat(10)}"]\n`);
+        expect(HumanJSON.stringify(list, 2, 30, { escape: "ascii" })).toBe(
+          `[\n  "${"\\u00e9".repeat(10)}",\n  "${"\\u00e9".repeat(10)}"\n]\n`,
+        );
+      });
+    });
+
+    describe("eol", () => {
+      const obj = { name: "multi\nline", list: ["a".repeat(30), "b".repeat(30)] };
+
+      it("writes LF line endings by default", () => {
+        expect(HumanJSON.stringify(obj, 2, 40)).toBe(
+          `{\n  "name": "multi\\nline",\n  "list": [\n    "${"a".repeat(30)}",\n    "${"b".repeat(30)}"\n  ]\n}\n`,
+        );
+        expect(HumanJSON.stringify(obj, 2, 40, { eol: "auto" })).toBe(HumanJSON.stringify(obj, 2, 40));
+      });
+
+      it("writes CRLF line endings, leaving the escaped newlines in strings alone", () => {
+        const result = HumanJSON.stringify(obj, 2, 40, { eol: "crlf" });
+        expect(result).toBe(HumanJSON.stringify(obj, 2, 40).replaceAll("\n", "\r\n"));
+        expect(result).toContain('"multi\\nline"');
+        expect(result.endsWith("}\r\n")).toBe(true);
+        expect(HumanJSON.stringify({ a: 1 }, 2, 40, { eol: "crlf", appendNewLine: false })).toBe('{ "a": 1 }');
+      });
+    });
+
+    describe("color", () => {
+      const obj = { name: "x", flags: [true, false, null], sizes: [10, 20.5, -3], nested: { deep: { list: [1, 2] } } };
+
+      it("colours each kind of token", () => {
+        expect(HumanJSON.stringify({ a: [1, "b", true, null] }, 2, 80, { color: true })).toBe(
+          '\x1b[1m{\x1b[0m \x1b[1;34m"a"\x1b[0m\x1b[1m:\x1b[0m \x1b[1m[\x1b[0m\x1b[36m1\x1b[0m\x1b[1m,\x1b[0m ' +
+            '\x1b[32m"b"\x1b[0m\x1b[1m,\x1b[0m \x1b[33mtrue\x1b[0m\x1b[1m,\x1b[0m \x1b[90mnull\x1b[0m' +
+            "\x1b[1m]\x1b[0m \x1b[1m}\x1b[0m\n",
+        );
+        expect(HumanJSON.stringify({ a: null }, 2, 80, { color: { key: "35", null: "", punctuation: "" } })).toBe(
+          '{ \x1b[35m"a"\x1b[0m: null }\n',
+        );
+      });
+
+      it("keeps the layout of the uncoloured output", () => {
+        for (const maxLength of [20, 40, 80]) {
+          for (const options of [
+            {},
+            { output: /** @type {const} */ ("json5") },
+            { fill: /** @type {const} */ ("all") },
+          ]) {
+            const colored = HumanJSON.stringify(obj, 2, maxLength, { ...options, color: true });
+            expect(colored).not.toBe(HumanJSON.stringify(obj, 2, maxLength, options));
+            expect(stripVTControlCharacters(colored)).toBe(HumanJSON.stringify(obj, 2, maxLength, options));
+          }
+        }
+      });
+    });
   });
 
   describe.concurrent("special types", () => {
@@ -291,6 +884,196 @@ describe.concurrent("HumanJSON.stringify", () => {
     });
   });
 
+  describe.concurrent("circular references", () => {
+    /** @returns {any} */
+    const family = () => {
+      /** @type {any} */
+      const parent = { name: "p", children: [{ name: "c" }] };
+      parent.children[0].parent = parent;
+      return parent;
+    };
+
+    it("throws a TypeError naming the path of the cycle", () => {
+      expect(() => HumanJSON.stringify(family())).toThrow(
+        new TypeError("Converting circular structure to JSON: ~.children[0].parent is a reference to ~"),
+      );
+      expect(() => HumanJSON.stringify(family(), 2, 120, { sortKeys: false })).toThrow(TypeError);
+    });
+
+    it("writes a placeholder in placeholder mode", () => {
+      const parent = family();
+      parent.children[0].self = parent.children[0];
+      parent["odd key"] = [parent.children];
+      expect(HumanJSON.stringify(parent, 2, 120, { circular: "placeholder" })).toBe(`{
+  "name": "p",
+  "children": [{ "name": "c", "parent": "[Circular ~]", "self": "[Circular ~.children[0]]" }],
+  "odd key": [[{ "name": "c", "parent": "[Circular ~]", "self": "[Circular ~[\\"odd key\\"][0][0]]" }]]
+}
+`);
+    });
+
+    it("detects cycles through Maps and Sets", () => {
+      /** @type {Map<string, any>} */
+      const map = new Map([["a", 1]]);
+      map.set("self", new Set([map]));
+      expect(HumanJSON.stringify(map, 2, 80, { circular: "placeholder" })).toBe(
+        '{ "a": 1, "self": ["[Circular ~]"] }\n',
+      );
+    });
+
+    it("allows the same object to appear more than once", () => {
+      const shared = { a: 1 };
+      expect(HumanJSON.stringify({ x: shared, y: [shared, shared] })).toBe(
+        '{ "x": { "a": 1 }, "y": [{ "a": 1 }, { "a": 1 }] }\n',
+      );
+    });
+  });
+
+  describe.concurrent("bigint", () => {
+    const ledger = { id: 9007199254740993n, amounts: [1n, -20n, 300n, 4000n, 50000n, 600000n, 7000000n] };
+
+    it("throws a TypeError naming the path by default", () => {
+      expect(() => HumanJSON.stringify(ledger)).toThrow(
+        new TypeError('Do not know how to serialize a BigInt at ~.id. Set the bigint option to "string" or "number"'),
+      );
+      expect(() => HumanJSON.stringify(ledger, 2, 120, { sortKeys: false })).toThrow(TypeError);
+    });
+
+    it("rejects unknown bigint options", () => {
+      // @ts-expect-error
+      expect(() => HumanJSON.stringify(1, 2, 120, { bigint: "strnig" })).toThrow(
+        new RangeError('Unknown bigint option "strnig". Use one of: throw, string, number'),
+      );
+    });
+
+    it("writes BigInts as quoted strings", () => {
+      expect(HumanJSON.stringify(ledger, 2, 120, { bigint: "string" })).toBe(
+        '{ "id": "9007199254740993", "amounts": ["1", "-20", "300", "4000", "50000", "600000", "7000000"] }\n',
+      );
+    });
+
+    it("writes BigInts as raw numbers that fill wrap", () => {
+      expect(HumanJSON.stringify(ledger, 2, 30, { bigint: "number" })).toBe(`{
+  "id": 9007199254740993,
+  "amounts": [
+    1, -20, 300, 4000, 50000,
+    600000, 7000000
+  ]
+}
+`);
+    });
+  });
+
+  describe.concurrent("binary", () => {
+    const bytes = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 255]);
+
+    it("writes TypedArrays as fill wrapped arrays in index order", () => {
+      expect(HumanJSON.stringify(bytes, 2, 30)).toBe(`[
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9,
+  10, 11, 255
+]
+`);
+      expect(HumanJSON.stringify(new Float32Array([1.5, -2, NaN]))).toBe("[1.5, -2, null]\n");
+    });
+
+    it("writes ArrayBuffers and DataViews as byte arrays", () => {
+      const buffer = new Uint16Array([1, 513]).buffer;
+      expect(HumanJSON.stringify(buffer)).toBe("[1, 0, 1, 2]\n");
+      expect(HumanJSON.stringify(new DataView(buffer, 1, 2))).toBe("[0, 1]\n");
+    });
+
+    it("writes BigInt64Arrays with the bigint strategy", () => {
+      expect(HumanJSON.stringify(new BigInt64Array([1n, -2n]), 2, 120, { bigint: "number" })).toBe("[1, -2]\n");
+    });
+
+    it("writes binary data as base64", () => {
+      expect(HumanJSON.stringify({ bytes, empty: new ArrayBuffer(0) }, 2, 120, { binary: "base64" })).toBe(
+        '{ "bytes": "AAECAwQFBgcICQoL/w==", "empty": "" }\n',
+      );
+    });
+
+    it("writes binary data as hex", () => {
+      expect(HumanJSON.stringify(bytes.subarray(9), 2, 120, { binary: "hex" })).toBe('"090a0bff"\n');
+    });
+
+    it("writes values where SharedArrayBuffer isn't defined", () => {
+      const { SharedArrayBuffer } = globalThis;
+      // @ts-ignore
+      delete globalThis.SharedArrayBuffer;
+      try {
+        expect(HumanJSON.stringify({ bytes: bytes.subarray(11), list: [1] })).toBe(
+          '{ "bytes": [11, 255], "list": [1] }\n',
+        );
+      } finally {
+        globalThis.SharedArrayBuffer = SharedArrayBuffer;
+      }
+    });
+  });
+
+  describe.concurrent("typeTags", () => {
+    it("tags Maps with non-string keys and Sets", () => {
+      const map = new Map([
+        [{ id: 1 }, "a"],
+        [2, new Set(["b"])],
+      ]);
+      expect(HumanJSON.stringify(map, 2, 120, { typeTags: true })).toBe(
+        '{ "$type": "Map", "entries": [[{ "id": 1 }, "a"], [2, { "$type": "Set", "values": ["b"] }]] }\n',
+      );
+    });
+
+    it("tags Date, RegExp, URL and Symbol values", () => {
+      const data = {
+        date: new Date(0),
+        invalid: new Date(NaN),
+        regexp: /a+b/gi,
+        url: new URL("https://example.com/?q=1"),
+        global: Symbol.for("app"),
+        local: Symbol("local"),
+        [Symbol("key")]: 1,
+      };
+      expect(HumanJSON.stringify(data, 2, 80, { typeTags: true })).toBe(`{
+  "date": { "$type": "Date", "value": "1970-01-01T00:00:00.000Z" },
+  "global": { "$type": "Symbol", "key": "app" },
+  "invalid": { "$type": "Date", "value": null },
+  "local": { "$type": "Symbol", "description": "local" },
+  "regexp": { "$type": "RegExp", "source": "a+b", "flags": "gi" },
+  "Symbol(key)": 1,
+  "url": { "$type": "URL", "href": "https://example.com/?q=1" }
+}
+`);
+    });
+
+    it("keeps the name, message, own properties, cause and stack of Errors", () => {
+      const error = Object.assign(new RangeError("too big", { cause: "overflow" }), { code: "E_RANGE" });
+      error.stack = "RangeError: too big";
+      expect(HumanJSON.stringify(error, 2, 40, { typeTags: true })).toBe(`{
+  "$type": "Error",
+  "name": "RangeError",
+  "message": "too big",
+  "code": "E_RANGE",
+  "cause": "overflow",
+  "stack": "RangeError: too big"
+}
+`);
+    });
+
+    it("keeps the fields of type tags out of the replacer's allow-list", () => {
+      const data = { d: new Date(0), m: new Map([[1, { d: 2, id: 3 }]]), x: 1 };
+      const text = HumanJSON.stringify(data, ["d", "m"], 120, { typeTags: true });
+      expect(text).toBe(
+        '{ "d": { "$type": "Date", "value": "1970-01-01T00:00:00.000Z" }, "m": { "$type": "Map", "entries": [[1, { "d": 2 }]] } }\n',
+      );
+      expect(HumanJSON.parse(text).d).toEqual(new Date(0));
+      expect(HumanJSON.stringify(data, ["d"], 120, { typeTags: true, maxDepth: 1 })).toBe('{ "d": {…} }\n');
+    });
+
+    it("leaves the extended types alone when disabled", () => {
+      expect(HumanJSON.stringify({ date: new Date(0), error: new Error("x"), regexp: /x/ })).toBe(
+        '{ "date": "1970-01-01T00:00:00.000Z", "error": {}, "regexp": {} }\n',
+      );
+    });
+  });
+
   describe.concurrent("nested structures", () => {
     it("handles deeply nested objects", () => {
       const nested = {
@@ -314,6 +1097,19 @@ describe.concurrent("HumanJSON.stringify", () => {
       const result = HumanJSON.stringify(mixed);
       expect(result).toBe('{ "array": [{ "a": 1 }, { "b": 2 }], "object": { "nested": [1, 2, 3] } }\n');
     });
+
+    it("reads each nested value a bounded number of times, however deep it is", () => {
+      let reads = 0;
+      let nested = new Proxy({ value: "deep" }, { ownKeys: (target) => (reads++, Reflect.ownKeys(target)) });
+      for (let i = 0; i < 100; i++) {
+        nested = { ["level" + i]: nested, label: "x".repeat(10) };
+      }
+      for (const sortKeys of [true, false]) {
+        reads = 0;
+        HumanJSON.stringify(nested, 2, 120, { sortKeys });
+        expect(reads).toBeLessThanOrEqual(2);
+      }
+    });
   });
 
   describe.concurrent("real-world examples", () => {
@@ -421,5 +1217,238 @@ describe.concurrent("HumanJSON.stringify", () => {
       expect(legacy).toBe(`{"a":{"b":{"c":1}}}`);
       expect(human).toBe(`{ "a": { "b": { "c": 1 } } }\n`);
     });
+
+    it('handles JSON.stringify(obj, null, "\\t")', () => {
+      const obj = { a: { b: { c: 1 } } };
+      expect(HumanJSON.stringify(obj, null, "\t")).toBe(`{ "a": { "b": { "c": 1 } } }\n`);
+      expect(HumanJSON.stringify(obj, null, "\t", { appendNewLine: false })).toBe(
+        HumanJSON.stringify(obj, "\t", 120, { appendNewLine: false }),
+      );
+    });
+
+    it("handles JSON.stringify(obj, replacer, 2)", () => {
+      const obj = { user: "alice", password: "hunter2", nested: { password: "x", keep: [1, 2] } };
+      /** @type {(key: string, value: any) => any} */
+      const redact = (key, value) => (key === "password" ? "***" : value);
+      expect(HumanJSON.stringify(obj, redact, 2)).toBe(
+        `{ "nested": { "keep": [1, 2], "password": "***" }, "password": "***", "user": "alice" }\n`,
+      );
+    });
+
+    it("calls the replacer with the same holder, key and value sequence as JSON.stringify", () => {
+      const obj = { b: [1, { d: new Date(0) }], a: { c: undefined }, z: "z" };
+      /**
+       * @param {any[]} calls
+       * @returns {(this: any, key: string, value: any) => any}
+       */
+      const recorder = (calls) =>
+        function (key, value) {
+          calls.push([key, Object.keys(this), value instanceof Date ? "date" : typeof value]);
+          return value;
+        };
+      /** @type {any[]} */
+      const legacyCalls = [];
+      /** @type {any[]} */
+      const humanCalls = [];
+      JSON.stringify(obj, recorder(legacyCalls));
+      HumanJSON.stringify(obj, recorder(humanCalls));
+      expect(humanCalls).toEqual(legacyCalls);
+    });
+
+    it("drops values the replacer turns into undefined", () => {
+      const obj = { a: 1, b: "drop", c: [1, "drop", 3] };
+      /** @type {(key: string, value: any) => any} */
+      const replacer = (_key, value) => (value === "drop" ? undefined : value);
+      expect(HumanJSON.stringify(obj, replacer)).toBe(`{ "a": 1, "c": [1, null, 3] }\n`);
+    });
+
+    it("uses an array replacer as a key allow-list", () => {
+      const obj = { z: 1, a: { z: 2, b: 3, a: 4 }, b: [{ a: 5, c: 6 }] };
+      expect(HumanJSON.stringify(obj, ["a", "z", 1, "a"])).toBe(`{ "a": { "a": 4, "z": 2 }, "z": 1 }\n`);
+      expect(HumanJSON.stringify(obj, ["b", "a"])).toBe(`{ "a": { "a": 4, "b": 3 }, "b": [{ "a": 5 }] }\n`);
+    });
+
+    it("keeps the array replacer order when not sorting keys", () => {
+      const obj = { z: 1, a: 2, m: 3 };
+      const human = HumanJSON.stringify(obj, null, 80, { replacer: ["m", "z", "a"], sortKeys: false });
+      expect(human).toBe(`{ "m": 3, "z": 1, "a": 2 }\n`);
+      expect(JSON.parse(human)).toEqual(JSON.parse(JSON.stringify(obj, ["m", "z", "a"])));
+      expect(Object.keys(JSON.parse(human))).toEqual(["m", "z", "a"]);
+    });
+
+    it("calls toJSON and the replacer once per value", async () => {
+      /** @type {string[]} */
+      const calls = [];
+      const stamp = { toJSON: (/** @type {string} */ key) => calls.push(key) && "x".repeat(30) };
+      const obj = { a: [stamp, stamp], b: { c: stamp }, list: [1, 2, stamp] };
+      JSON.stringify(obj);
+      const expected = calls.splice(0);
+      for (const options of [{}, { sortKeys: false }]) {
+        HumanJSON.stringify(obj, 2, 40, options);
+        expect(calls.splice(0)).toEqual(expected);
+        await Array.fromAsync(HumanJSON.stream(obj, 2, 40, options));
+        expect(calls.splice(0)).toEqual(expected);
+      }
+      /** @type {(this: any, key: string, value: any) => any} */
+      const replacer = (key, value) => (calls.push(key), value);
+      JSON.stringify(obj, replacer);
+      const replaced = calls.splice(0);
+      HumanJSON.stringify(obj, null, 40, { replacer, sortKeys: false });
+      expect(calls.splice(0)).toEqual(replaced);
+    });
+  });
+});
+
+describe.concurrent("HumanJSON.stream", () => {
+  /**
+   * Collects the chunks of a stream
+   * @param {AsyncIterable<string>} stream - The stream
+   * @returns {Promise<string[]>} The chunks
+   */
+  async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  const cases = [
+    { value: { b: [1, 2, 3], a: { c: "x".repeat(50), d: [{ e: null }, undefined, () => 1] }, u: undefined } },
+    { value: [[], {}, [[]], new Map([["k", { deep: [1, [2, [3]]] }]]), new Date(0), new Set([1])] },
+    { value: { nested: { list: Array.from({ length: 20 }, (_, i) => ({ id: i, tags: ["a", "b"] })) } } },
+    { value: "just a string" },
+    { value: undefined },
+  ];
+  const optionSets = [
+    {},
+    { sortKeys: false },
+    { fill: "all" },
+    { output: "json5" },
+    { spacing: "all" },
+    { eol: "crlf" },
+    { measure: "codeunits" },
+    { color: true },
+  ];
+
+  for (const [i, { value }] of cases.entries()) {
+    for (const options of optionSets) {
+      test(`streams case ${i} with ${JSON.stringify(options)} like stringify`, async () => {
+        for (const [indent, maxLength] of /** @type {[number | string, number][]} */ ([
+          [2, 120],
+          [4, 40],
+          ["\t", 30],
+        ])) {
+          const chunks = await collect(HumanJSON.stream(value, indent, maxLength, options));
+          expect(chunks.join("")).toBe(HumanJSON.stringify(value, indent, maxLength, options));
+        }
+      });
+    }
+  }
+
+  it("yields large values in several chunks", async () => {
+    const rows = Array.from({ length: 5000 }, (_, i) => ({ id: i, name: `row ${i}`, tags: { even: i % 2 === 0 } }));
+    const chunks = await collect(new HumanJSON(2, 40).stream({ rows }));
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join("")).toBe(new HumanJSON(2, 40).stringify({ rows }));
+    // the tokens cut at the end of a chunk are coloured with the next one
+    const colored = new HumanJSON(2, 40, { color: true });
+    expect((await collect(colored.stream({ rows }))).join("")).toBe(colored.stringify({ rows }));
+  });
+
+  it("reports circular references like stringify", async () => {
+    /** @type {any} */
+    const obj = { list: [] };
+    obj.list.push(obj);
+    await expect(collect(HumanJSON.stream(obj))).rejects.toThrow(
+      "Converting circular structure to JSON: ~.list[0] is a reference to ~",
+    );
+    expect((await collect(HumanJSON.stream(obj, 2, 80, { circular: "placeholder" }))).join("")).toBe(
+      '{ "list": ["[Circular ~]"] }\n',
+    );
+  });
+});
+
+describe.concurrent("HumanJSON.parse", () => {
+  it("parses plain JSON like JSON.parse", () => {
+    const text = '{ "a": [1, "two", null], "b": { "$type": 1 } }';
+    expect(HumanJSON.parse(text)).toEqual(JSON.parse(text));
+  });
+
+  it("round trips the typeTags types", () => {
+    const key = { id: 1 };
+    const error = new TypeError("bad", { cause: new Error("root") });
+    const data = {
+      map: new Map([[key, new Set([1, 2])]]),
+      date: new Date(1431561600000),
+      regexp: /a+b/gi,
+      url: new URL("https://example.com/path"),
+      symbol: Symbol.for("app"),
+      error,
+    };
+    const revived = HumanJSON.parse(HumanJSON.stringify(data, 2, 80, { typeTags: true }));
+
+    expect(revived.map).toBeInstanceOf(Map);
+    expect([...revived.map]).toEqual([[{ id: 1 }, new Set([1, 2])]]);
+    expect(revived.date).toEqual(data.date);
+    expect(revived.regexp).toEqual(data.regexp);
+    expect(revived.url).toEqual(data.url);
+    expect(revived.symbol).toBe(data.symbol);
+    expect(revived.error).toBeInstanceOf(TypeError);
+    expect(revived.error.message).toBe("bad");
+    expect(revived.error.stack).toBe(error.stack);
+    expect(revived.error.cause).toBeInstanceOf(Error);
+    expect(revived.error.cause.message).toBe("root");
+  });
+
+  it("calls the reviver after reviving types", () => {
+    const text = HumanJSON.stringify({ when: new Date(0), n: 1 }, 2, 80, { typeTags: true });
+    /** @type {(key: string, value: any) => any} */
+    const reviver = (_key, value) => (value instanceof Date ? value.getTime() : value);
+    expect(HumanJSON.parse(text, reviver)).toEqual({ when: 0, n: 1 });
+  });
+
+  it("can be used as a JSON.parse reviver", () => {
+    const text = HumanJSON.stringify(new Set(["a"]), 2, 80, { typeTags: true });
+    expect(JSON.parse(text, HumanJSON.revive)).toEqual(new Set(["a"]));
+  });
+
+  it("leaves objects with a $type that doesn't match its fields as they are", () => {
+    const texts = [
+      '{"$type":"Map","entries":5}',
+      '{"$type":"Map","entries":[1]}',
+      '{"$type":"Set","values":"ab"}',
+      '{"$type":"Date","value":5}',
+      '{"$type":"RegExp","source":"(","flags":""}',
+      '{"$type":"URL","href":"nope"}',
+      '{"$type":"Symbol","description":1}',
+      '{"$type":"Error","message":{}}',
+      '{"$type":"Widget","id":1}',
+    ];
+    for (const text of texts) {
+      expect(HumanJSON.parse(text)).toEqual(JSON.parse(text));
+    }
+  });
+
+  it("round trips objects that have their own $type keys", () => {
+    const error = Object.assign(new Error("bad"), { $type: "mine" });
+    const data = {
+      plain: { $type: "Date", value: "2020-01-01T00:00:00.000Z" },
+      escaped: { $$type: "Set", values: [1] },
+      inMap: new Map([["k", { $type: "URL", href: "https://example.com" }]]),
+      error,
+    };
+    const text = HumanJSON.stringify(data, 2, 80, { typeTags: true });
+    expect(text).toContain('"plain": { "value": "2020-01-01T00:00:00.000Z", "$$type": "Date" }');
+    expect(text).toContain('"escaped": { "$$$type": "Set", "values": [1] }');
+
+    const revived = HumanJSON.parse(text);
+    expect(revived.plain).toEqual(data.plain);
+    expect(revived.escaped).toEqual(data.escaped);
+    expect(revived.inMap.get("k")).toEqual({ $type: "URL", href: "https://example.com" });
+    expect(revived.error).toBeInstanceOf(Error);
+    expect(revived.error.$type).toBe("mine");
+    // the keys are only escaped with typeTags
+    expect(HumanJSON.stringify({ $type: "x" }, 2, 80)).toBe('{ "$type": "x" }\n');
   });
 });
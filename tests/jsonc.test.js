@@ -0,0 +1,129 @@
+import { describe, expect, it } from "bun:test";
+import { HumanJSON } from "../src/index.js";
+import { COMMENTS, parseJSONC } from "../src/jsonc.js";
+
+const tsconfig = `// tsconfig for the project
+{
+  "compilerOptions": {
+    "target": "ES2022", // modern
+    "strict": true,
+    // emit nothing
+    "noEmit": true,
+    "lib": [
+      "ES2022", // base
+      "DOM",
+    ],
+  },
+  /* sources */
+  "include": ["src"],
+  // more to come
+}
+`;
+
+describe.concurrent("parseJSONC", () => {
+  it("parses the same values as JSON.parse", () => {
+    const text = '{"a": [1, -2.5e3, "x\\\\n\\\\u00e9"], "b": {"c": null, "d": true, "e": false}, "__proto__": 1}';
+    const value = parseJSONC(text);
+    expect(value).toEqual(JSON.parse(text));
+    expect(Object.getPrototypeOf(value)).toBe(Object.prototype);
+    expect(Object.hasOwn(value, "__proto__")).toBe(true);
+  });
+
+  it("allows comments and trailing commas", () => {
+    expect(parseJSONC(tsconfig)).toEqual({
+      compilerOptions: { target: "ES2022", strict: true, noEmit: true, lib: ["ES2022", "DOM"] },
+      include: ["src"],
+    });
+  });
+
+  it("attaches comments to the keys and items they belong to", () => {
+    const value = parseJSONC(tsconfig);
+    expect(value[COMMENTS]).toEqual({
+      entries: new Map([["include", { before: ["/* sources */"], after: [] }]]),
+      end: ["// more to come"],
+      before: ["// tsconfig for the project"],
+      after: [],
+    });
+    expect(value.compilerOptions[COMMENTS].entries).toEqual(
+      new Map([
+        ["target", { before: [], after: ["// modern"] }],
+        ["noEmit", { before: ["// emit nothing"], after: [] }],
+      ]),
+    );
+    expect(value.compilerOptions.lib[COMMENTS].entries).toEqual(new Map([[0, { before: [], after: ["// base"] }]]));
+  });
+
+  it("keeps the comments out of the keys", () => {
+    const value = parseJSONC(tsconfig);
+    expect(Object.keys(value)).toEqual(["compilerOptions", "include"]);
+    expect(JSON.stringify(value.compilerOptions.lib)).toBe('["ES2022","DOM"]');
+  });
+
+  it("reports the line and column of syntax errors", () => {
+    const errors = [
+      ['{"a": 1,,}', 'Expected a string key but found token "," at line 1, column 9'],
+      ['{\n  "a" 1\n}', 'Expected ":" after the key but found token "1" at line 2, column 7'],
+      ["[1, 2", 'Expected "," or "]" but found end of input at line 1, column 6'],
+      ['["a\\x"]', "Invalid escape or control character in string at line 1, column 2"],
+      ["/* open", "Unterminated comment at line 1, column 1"],
+      ["{} {}", 'Unexpected token "{" after the JSON value at line 1, column 4'],
+    ];
+    for (const [text, message] of errors) {
+      expect(() => parseJSONC(text)).toThrow(message);
+    }
+    try {
+      parseJSONC("{\n  nope\n}");
+    } catch (error) {
+      expect(error).toBeInstanceOf(SyntaxError);
+      expect(error).toMatchObject({ line: 2, column: 3 });
+    }
+  });
+});
+
+describe.concurrent("HumanJSON.stringify with comments", () => {
+  it("writes the comments next to their keys after sorting", () => {
+    const result = HumanJSON.stringify(parseJSONC(tsconfig), 2, 80, { output: "jsonc" });
+    expect(result).toBe(`// tsconfig for the project
+{
+  "compilerOptions": {
+    "lib": [
+      "ES2022", // base
+      "DOM"
+    ],
+    // emit nothing
+    "noEmit": true,
+    "strict": true,
+    "target": "ES2022" // modern
+  },
+  /* sources */
+  "include": ["src"]
+  // more to come
+}
+`);
+  });
+
+  it("keeps trailing commas in JSON5", () => {
+    const result = HumanJSON.stringify(parseJSONC('{"b": 1, // one\n"a": 2}'), 2, 80, { output: "json5" });
+    expect(result).toBe("{\n  a: 2,\n  b: 1, // one\n}\n");
+  });
+
+  it("lines up block comments that span several lines", () => {
+    const text = '{\n    /**\n     * The name\n     */\n    "name": "x"\n}';
+    const result = HumanJSON.stringify(parseJSONC(text), 2, 80, { output: "jsonc" });
+    expect(result).toBe('{\n  /**\n   * The name\n   */\n  "name": "x"\n}\n');
+  });
+
+  it("writes the comments with the configured line endings", () => {
+    const text = '// top\r\n{\r\n  /* a\r\n   * b */\r\n  "a": 1 // one\r\n}\r\n/* end\r\n */';
+    const result = HumanJSON.stringify(parseJSONC(text), 2, 80, { output: "jsonc", eol: "crlf" });
+    expect(result).toBe('// top\r\n{\r\n  /* a\r\n   * b */\r\n  "a": 1 // one\r\n}\r\n/* end\r\n */\r\n');
+  });
+
+  it("drops the comments when writing JSON", () => {
+    const result = HumanJSON.stringify(parseJSONC(tsconfig), 2, 120);
+    expect(result).toBe(
+      '{\n  "compilerOptions": { "lib": ["ES2022", "DOM"], "noEmit": true, "strict": true, "target": "ES2022" },\n' +
+        '  "include": ["src"]\n}\n',
+    );
+  });
+});
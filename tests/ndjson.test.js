@@ -0,0 +1,88 @@
+import { describe, expect, it } from "bun:test";
+import { formatNDJSON, readLines } from "../src/ndjson.js";
+
+/**
+ * Splits text into chunks of a few characters, like a stream that is read in pieces
+ * @param {string} text - The text
+ * @param {number} [size=3] - The size of the chunks
+ * @returns {AsyncGenerator<string>} The chunks
+ */
+async function* chunks(text, size = 3) {
+  for (let i = 0; i < text.length; i += size) {
+    yield text.slice(i, i + size);
+  }
+}
+
+/**
+ * Formats NDJSON text
+ * @param {string} text - The NDJSON text
+ * @param {import('../src/ndjson.js').NDJSONOptions} [options] - How to format the records
+ * @returns {Promise<import('../src/ndjson.js').NDJSONLine[]>} The lines and their formatted records
+ */
+async function format(text, options) {
+  return Array.fromAsync(formatNDJSON(chunks(text), options));
+}
+
+/**
+ * Formats NDJSON text to a string
+ * @param {string} text - The NDJSON text
+ * @param {import('../src/ndjson.js').NDJSONOptions} [options] - How to format the records
+ * @returns {Promise<string>} The output
+ */
+async function output(text, options) {
+  return (await format(text, options)).map((line) => line.output).join("");
+}
+
+describe.concurrent("readLines", () => {
+  it("splits chunks into lines, keeping the line endings", async () => {
+    expect(await Array.fromAsync(readLines(chunks('{"a":1}\r\n\n[1,\n2]', 4)))).toEqual([
+      '{"a":1}\r\n',
+      "\n",
+      "[1,\n",
+      "2]",
+    ]);
+    expect(await Array.fromAsync(readLines(chunks("")))).toEqual([]);
+  });
+});
+
+describe.concurrent("formatNDJSON", () => {
+  const text = '{"name":"a","b":[1,2],"a":true}\n\n{"z":{"y":1,"x":2}}\n';
+
+  it("formats each record, separated by blank lines", async () => {
+    expect(await output(text, { maxLineLength: 20 })).toBe(
+      '{\n  "name": "a",\n  "a": true,\n  "b": [1, 2]\n}\n\n{\n  "z": { "x": 2, "y": 1 }\n}\n',
+    );
+  });
+
+  it("writes compact records one per line, with sorted keys", async () => {
+    const options = { output: /** @type {const} */ ("compact"), maxLineLength: 20, options: { sortKeys: false } };
+    expect(await output(text, options)).toBe('{ "name": "a", "a": true, "b": [1, 2] }\n{ "z": { "x": 2, "y": 1 } }\n');
+  });
+
+  it("keeps invalid lines and reports them with their line number", async () => {
+    const lines = await format('{"a":1}\n{a:1}\n[1,]\n2\n', { output: "compact" });
+    expect(lines.map((line) => line.output)).toEqual(['{ "a": 1 }\n', "{a:1}\n", "[1,]\n", "2\n"]);
+    expect(lines[1].error).toMatchObject({
+      message: 'Expected a string key but found token "a"',
+      line: 2,
+      column: 2,
+      hint: 'Quote the key: write "a" instead of a',
+    });
+    expect(lines[1].error?.frame).toBe("> 2 | {a:1}\n    |  ^");
+    expect(lines[2].error).toEqual({
+      message: "Comments and trailing commas aren't allowed in NDJSON records",
+      line: 3,
+      column: 1,
+    });
+    expect(lines[3].error).toBeUndefined();
+  });
+
+  it("keeps the byte order mark and the line endings of the input", async () => {
+    const input = '\uFEFF{"a":1}\r\n{"b":2}';
+    expect(await output(input, { output: "compact", options: { eol: "auto" } })).toBe(
+      '\uFEFF{ "a": 1 }\r\n{ "b": 2 }\r\n',
+    );
+    expect(await output(input, { output: "compact", bom: "strip" })).toBe('{ "a": 1 }\n{ "b": 2 }\n');
+    expect((await format(input)).map((line) => line.input)).toEqual(['\uFEFF{"a":1}\r\n', '{"b":2}']);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, expect, test } from "bun:test";
+import { readdirSync, readFileSync } from "fs";
+import { join } from "path";
+import { detectPreset, PRESETS } from "../src/presets.js";
+
+describe.concurrent("detectPreset", () => {
+  const expected = {
+    "cloudformation.json": "cloudformation",
+    "geojson-complex-polygons__line_length=200.json": "geojson",
+    "geojson-earthquakes__line_length=900;keys=id,type,time,title.json": "geojson",
+    "hal-format.json": "hal",
+    "json-feed__keys=title,id,version,date_published.json": "json-feed",
+    "jsonapi-format.json": "jsonapi",
+    "jsonld-schema-org.json": "jsonld",
+    "kubernetes-config.json": "kubernetes",
+    "npm-complex-package.json": "npm-package",
+    "npm-package-lock.json": "npm-package-lock",
+    "openapi-petstore.json": "openapi",
+  };
+
+  const examplesDir = join(import.meta.dir, "../examples");
+  const examples = readdirSync(examplesDir).filter((file) => file.endsWith(".json") && !file.endsWith("~human.json"));
+
+  for (const file of examples) {
+    test(`detects ${file}`, () => {
+      const data = JSON.parse(readFileSync(join(examplesDir, file), "utf-8"));
+      expect(detectPreset(data)).toBe(/** @type {Record<string, string>} */ (expected)[file]);
+    });
+  }
+
+  test("detects formats from $schema", () => {
+    expect(detectPreset({ $schema: "https://json.schemastore.org/package.json" })).toBe("npm-package");
+    expect(detectPreset({ $schema: "https://geojson.org/schema/Feature.json" })).toBe("geojson");
+  });
+
+  test("ignores values that aren't objects", () => {
+    expect(detectPreset([{ type: "Feature" }])).toBeUndefined();
+    expect(detectPreset("openapi")).toBeUndefined();
+    expect(detectPreset(null)).toBeUndefined();
+  });
+
+  test("only detects presets that exist", () => {
+    expect(Object.values(expected).every((name) => name in PRESETS)).toBe(true);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, expect, it } from "bun:test";
+import { displayWidth, graphemeCount, measureText } from "../src/width.js";
+
+describe.concurrent("displayWidth", () => {
+  it("counts one column per ASCII character", () => {
+    expect(displayWidth("")).toBe(0);
+    expect(displayWidth('"name": "value"')).toBe(15);
+    // tabs and newlines take the fast path too, and count as one (like Intl.Segmenter does)
+    expect(displayWidth('\t"a": [\n  1\n]')).toBe(13);
+    expect(graphemeCount("a\r\nb\tc")).toBe(5);
+  });
+
+  it("counts two columns for East Asian wide and fullwidth characters", () => {
+    expect(displayWidth("日本語")).toBe(6);
+    expect(displayWidth("한국어 텍스트")).toBe(13);
+    expect(displayWidth("ｆｕｌｌ")).toBe(8);
+    // halfwidth katakana are narrow
+    expect(displayWidth("ｱｲｳ")).toBe(3);
+  });
+
+  it("counts two columns for emoji drawn as emoji", () => {
+    expect(displayWidth("👍")).toBe(2);
+    expect(displayWidth("ok ✅")).toBe(5);
+  });
+
+  it("counts no columns for combining marks and zero width characters", () => {
+    expect(displayWidth("é")).toBe(1);
+    expect(displayWidth("a​b")).toBe(2);
+    expect(displayWidth("Ä̈̈")).toBe(1);
+  });
+
+  it("counts two columns for emoji made of several code points", () => {
+    // ZWJ sequence, flag, skin tone, emoji variation selector and keycap
+    expect(displayWidth("👨‍👩‍👧")).toBe(2);
+    expect(displayWidth("🇫🇷")).toBe(2);
+    expect(displayWidth("👍🏽")).toBe(2);
+    expect(displayWidth("❤️")).toBe(2);
+    expect(displayWidth("1️⃣")).toBe(2);
+    // without the variation selector, the heart is a text symbol
+    expect(displayWidth("❤")).toBe(1);
+  });
+});
+
+describe.concurrent("graphemeCount", () => {
+  it("counts user-perceived characters", () => {
+    expect(graphemeCount("abc")).toBe(3);
+    expect(graphemeCount("é")).toBe(1);
+    expect(graphemeCount("👨‍👩‍👧 🇫🇷")).toBe(3);
+    expect(graphemeCount("日本語")).toBe(3);
+  });
+});
+
+describe.concurrent("measureText", () => {
+  it("measures in code units, graphemes or display columns", () => {
+    const text = "🇫🇷 日本";
+    expect(measureText(text, "codeunits")).toBe(7);
+    expect(measureText(text, "graphemes")).toBe(4);
+    expect(measureText(text, "display")).toBe(7);
+  });
+
+  it("stops measuring past the limit", () => {
+    const text = "日本語".repeat(1000);
+    expect(measureText(text, "display", 10)).toBe(12);
+    expect(measureText(text, "graphemes", 10)).toBe(11);
+    expect(measureText("a".repeat(1000), "display", 10)).toBe(11);
+    expect(measureText("a".repeat(1000) + "日", "graphemes", 10)).toBe(11);
+    // the whole width when it isn't past the limit
+    expect(measureText("\u200b".repeat(1000) + "日本", "display", 10)).toBe(4);
+    expect(measureText(text, "display", 6000)).toBe(6000);
+  });
+});